@@ -1,4 +1,12 @@
-const STORAGE_KEY = "plannerMapDataV1";
+const LEGACY_STORAGE_KEY = "plannerMapDataV1";
+const LEGACY_HISTORY_STORAGE_KEY = "plannerMapHistoryV1";
+const STORAGE_VERSION_KEY = "plannerMapStorageVersion";
+const MAP_INDEX_KEY = "plannerMapIndex";
+const MAP_DATA_KEY_PREFIX = "plannerMap:";
+const MAP_HISTORY_KEY_PREFIX = "plannerMapHistory:";
+const MAP_BACKUP_KEY_PREFIX = "plannerMapBackup:";
+const MAP_SCENARIOS_KEY_PREFIX = "plannerMapScenarios:";
+const MAP_SCENARIO_DATA_KEY_PREFIX = "plannerMapScenarioData:";
 const NODE_WIDTH_RANGE = [170, 240];
 const NODE_HEIGHT_RANGE = [120, 190];
 const NODE_RADIUS_RANGE = [
@@ -6,7 +14,43 @@ const NODE_RADIUS_RANGE = [
   Math.max(NODE_WIDTH_RANGE[1], NODE_HEIGHT_RANGE[1]) / 2,
 ];
 const ROOT_NODE_RADIUS = NODE_RADIUS_RANGE[1] * 3;
-const ESTIMATED_RATE = 100;
+const DEFAULT_HOURLY_RATE = 100;
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1500;
+const MAP_FILE_FORMAT = "plannermap";
+const ATTACHMENT_DB_NAME = "plannerMapFiles";
+const ATTACHMENT_STORE = "files";
+const ATTACHMENT_KINDS = ["file", "url"];
+const MAP_SCHEMA_VERSION = 14;
+const MAX_IMPORT_ERRORS_SHOWN = 12;
+const DEFAULT_HOURS_PER_WEEK = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUE_SOON_DAYS = 7;
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const SCHEDULE_EPSILON = 1e-6;
+const TIMELINE_DAY_WIDTH = 24;
+const TIMELINE_PADDING_DAYS = 14;
+const ENTRY_KINDS = ["expense", "time"];
+const COMPARE_FIELDS = [
+  ["name", "Name"],
+  ["description", "Description"],
+  ["kind", "Type"],
+  ["statusId", "Status"],
+  ["estimatedCost", "Cost"],
+  ["estimatedTime", "Hours"],
+  ["assignees", "Assigned to"],
+  ["tags", "Tags"],
+  ["startDate", "Start"],
+  ["dueDate", "Due"],
+  ["chosenOptionId", "Chosen option"],
+];
+const CHANGE_LABELS = {
+  added: "Added",
+  removed: "Removed",
+  changed: "Changed",
+  linked: "Link added",
+  unlinked: "Link removed",
+};
 
 const mapViewport = document.getElementById("map-viewport");
 const mapContent = document.getElementById("map-content");
@@ -21,15 +65,130 @@ const fitViewButton = document.getElementById("fit-view");
 const linkModal = document.getElementById("link-modal");
 const linkDependentSelect = document.getElementById("link-dependent");
 const linkRequiredSelect = document.getElementById("link-required");
+const linkTypeSelect = document.getElementById("link-type");
+const linkLabelInput = document.getElementById("link-label");
 const confirmLinkButton = document.getElementById("confirm-link");
 const cancelLinkButton = document.getElementById("cancel-link");
 const sidebarToggleButton = document.getElementById("sidebar-toggle");
+const searchInput = document.getElementById("search-input");
+const searchCount = document.getElementById("search-count");
+const searchPrevButton = document.getElementById("search-prev");
+const searchNextButton = document.getElementById("search-next");
+const searchClearButton = document.getElementById("search-clear");
 const zoomInButton = document.getElementById("zoom-in");
 const zoomOutButton = document.getElementById("zoom-out");
+const undoButton = document.getElementById("undo");
+const redoButton = document.getElementById("redo");
+const exportMapButton = document.getElementById("export-map");
+const importMapButton = document.getElementById("import-map");
+const importFileInput = document.getElementById("import-file");
+const importModal = document.getElementById("import-modal");
+const loadProblemBanner = document.getElementById("load-problem");
+const loadProblemMessage = document.getElementById("load-problem-message");
+const downloadStoredMapButton = document.getElementById("download-stored-map");
+const discardStoredMapButton = document.getElementById("discard-stored-map");
+const exportImageButton = document.getElementById("export-image");
+const imageExportModal = document.getElementById("image-export-modal");
+const imageAreaSelect = document.getElementById("image-area");
+const imageFormatSelect = document.getElementById("image-format");
+const imageScaleField = document.getElementById("image-scale-field");
+const imageScaleSelect = document.getElementById("image-scale");
+const imageExportSummary = document.getElementById("image-export-summary");
+const imageExportError = document.getElementById("image-export-error");
+const confirmImageExportButton = document.getElementById("confirm-image-export");
+const cancelImageExportButton = document.getElementById("cancel-image-export");
+const importSummary = document.getElementById("import-summary");
+const importErrorsList = document.getElementById("import-errors");
+const replaceImportButton = document.getElementById("replace-import");
+const mergeImportButton = document.getElementById("merge-import");
+const cancelImportButton = document.getElementById("cancel-import");
+const mapSelect = document.getElementById("map-select");
+const newMapButton = document.getElementById("new-map");
+const renameMapButton = document.getElementById("rename-map");
+const duplicateMapButton = document.getElementById("duplicate-map");
+const deleteMapButton = document.getElementById("delete-map");
+const linkError = document.getElementById("link-error");
+const checkGraphButton = document.getElementById("check-graph");
+const healthModal = document.getElementById("health-modal");
+const healthSummary = document.getElementById("health-summary");
+const healthIssuesList = document.getElementById("health-issues");
+const fixAllHealthButton = document.getElementById("fix-all-health");
+const closeHealthButton = document.getElementById("close-health");
+const nodeScheduleInfo = document.getElementById("node-schedule");
+const descriptionPreview = document.getElementById("description-preview");
+const attachmentsList = document.getElementById("attachments-list");
+const attachmentFileInput = document.getElementById("attachment-file");
+const addAttachmentFileButton = document.getElementById("add-attachment-file");
+const attachmentLinkForm = document.getElementById("attachment-link-form");
+const attachmentError = document.getElementById("attachment-error");
+const nodePreview = document.getElementById("node-preview");
+const scheduleStartInput = document.getElementById("schedule-start");
+const scheduleDefaultHoursInput = document.getElementById("schedule-default-hours");
+const scheduleCriticalInput = document.getElementById("schedule-critical");
+const scheduleSummary = document.getElementById("schedule-summary");
+const scheduleSubtreesList = document.getElementById("schedule-subtrees");
+const mapSection = document.getElementById("map");
+const timelineSection = document.getElementById("timeline");
+const reportSection = document.getElementById("report");
+const calendarSection = document.getElementById("calendar");
+const calendarTitle = document.getElementById("calendar-title");
+const calendarGrid = document.getElementById("calendar-grid");
+const calendarPrevButton = document.getElementById("calendar-prev");
+const calendarNextButton = document.getElementById("calendar-next");
+const calendarTodayButton = document.getElementById("calendar-today");
+const calendarPersonSelect = document.getElementById("calendar-person");
+const icsKindSelect = document.getElementById("ics-kind");
+const exportIcsButton = document.getElementById("export-ics");
+const compareSection = document.getElementById("compare");
+const compareContent = document.getElementById("compare-content");
+const compareBaseSelect = document.getElementById("compare-base");
+const compareOtherSelect = document.getElementById("compare-other");
+const promoteScenarioButton = document.getElementById("promote-scenario");
+const deleteScenarioButton = document.getElementById("delete-scenario");
+const scenarioSelect = document.getElementById("scenario-select");
+const snapshotScenarioButton = document.getElementById("snapshot-scenario");
+const branchScenarioButton = document.getElementById("branch-scenario");
+const layoutSelect = document.getElementById("layout-select");
+const resetPositionsButton = document.getElementById("reset-positions");
+const resetSubtreeButton = document.getElementById("reset-subtree");
+const collapseDepthSelect = document.getElementById("collapse-depth");
+const selectionTitle = document.getElementById("selection-title");
+const bulkEdit = document.getElementById("bulk-edit");
+const bulkStatusSelect = document.getElementById("bulk-status");
+const bulkPersonSelect = document.getElementById("bulk-person");
+const bulkTagInput = document.getElementById("bulk-tag");
+const bulkLinkSelect = document.getElementById("bulk-link-target");
+const bulkMessage = document.getElementById("bulk-message");
+const bulkApplyStatusButton = document.getElementById("bulk-apply-status");
+const bulkAssignButton = document.getElementById("bulk-assign");
+const bulkUnassignButton = document.getElementById("bulk-unassign");
+const bulkAddTagButton = document.getElementById("bulk-add-tag");
+const bulkRemoveTagButton = document.getElementById("bulk-remove-tag");
+const bulkDependsOnButton = document.getElementById("bulk-depends-on");
+const bulkRequiredByButton = document.getElementById("bulk-required-by");
+const bulkDeleteButton = document.getElementById("bulk-delete");
+const bulkClearButton = document.getElementById("bulk-clear");
+const reportContent = document.getElementById("report-content");
+const downloadCsvButton = document.getElementById("download-csv");
+const printReportButton = document.getElementById("print-report");
+const timelineContent = document.getElementById("timeline-content");
+const viewButtons = document.querySelectorAll("[data-view]");
+const actualsSummary = document.getElementById("actuals-summary");
+const entriesList = document.getElementById("entries-list");
+const entryForm = document.getElementById("entry-form");
+const hourlyRateInput = document.getElementById("hourly-rate");
+const costBreakdown = document.getElementById("cost-breakdown");
+const decisionSection = document.getElementById("decision-section");
+const decisionSummary = document.getElementById("decision-summary");
+const decisionTable = document.getElementById("decision-table");
+const clearChoiceButton = document.getElementById("clear-choice");
+const assigneeOptions = document.getElementById("assignee-options");
+const peopleList = document.getElementById("people-list");
+const addPersonButton = document.getElementById("add-person");
+const statusesList = document.getElementById("statuses-list");
+const addStatusButton = document.getElementById("add-status");
 const appContainer = document.querySelector(".app");
 
-let state = loadState();
-let selectedNodeId = state.nodes[0]?.id ?? null;
 let viewState = {
   x: 0,
   y: 0,
@@ -40,97 +199,845 @@ let isNodeDragging = false;
 let draggedNodeId = null;
 let dragOffset = { x: 0, y: 0 };
 let didDragNode = false;
+let didPanMap = false;
+let activePointers = new Map();
+let pinchState = null;
+let longPressTimer = null;
+let previewTimer = null;
+let attachmentDbPromise = null;
+let attachmentUrls = new Map();
+let sessionAttachmentIds = new Set();
 let dragStart = { x: 0, y: 0 };
 let dragOrigin = { x: 0, y: 0 };
 let draggedSubtreeIds = new Set();
 let dragStartPositions = new Map();
+let pendingImport = null;
+let loadProblem = null;
+let viewMode = "map";
+let compareState = { baseId: "main", otherId: null };
+let calendarState = { month: null, personId: "all" };
+let searchState = {
+  query: "",
+  matchIds: [],
+  index: -1,
+};
 let layoutCache = {
   positions: new Map(),
+  displayedPositions: new Map(),
   animationFrameId: null,
 };
+const LINK_TYPES = {
+  hierarchy: {
+    name: "Part of",
+    rollsUp: true,
+    schedules: true,
+    shapesLayout: true,
+    color: "#9aa3b2",
+    dash: "",
+    glyph: '<circle r="4" fill="#4b8cff" />',
+  },
+  dependency: {
+    name: "Depends on",
+    rollsUp: false,
+    schedules: true,
+    shapesLayout: true,
+    color: "#5b6b8c",
+    dash: "",
+    glyph: '<path d="M -6 -5 L 6 0 L -6 5 Z" fill="#5b6b8c" />',
+  },
+  related: {
+    name: "Related to",
+    rollsUp: false,
+    schedules: false,
+    shapesLayout: false,
+    color: "#9aa3b2",
+    dash: "6 5",
+    glyph:
+      '<circle r="4" fill="#ffffff" stroke="#9aa3b2" stroke-width="1.5" />',
+  },
+  alternative: {
+    name: "Alternative to",
+    rollsUp: false,
+    schedules: false,
+    shapesLayout: false,
+    color: "#d98b2b",
+    dash: "2 5",
+    glyph: '<path d="M 0 -5 L 5 0 L 0 5 L -5 0 Z" fill="#d98b2b" />',
+  },
+};
+const IMAGE_EXPORT_PADDING = 40;
+const LAYOUT_MODES = ["radial", "tree", "layered"];
+const NODE_KINDS = ["task", "decision"];
+const TREE_SIBLING_GAP = 40;
+const TREE_LEVEL_GAP = 90;
+const LAYER_SWEEPS = 8;
+const LAYOUT_ANIMATION_MS = 350;
+const OVERLAP_GAP = 16;
+const OVERLAP_ITERATIONS = 40;
 const MIN_ZOOM = 0.3;
 const MAX_ZOOM = 2;
+const LONG_PRESS_DELAY = 450;
+const LONG_PRESS_TOLERANCE = 8;
+const PREVIEW_DELAY = 350;
 
-const STATUS_OPTIONS = [
-  "Considering",
-  "Shelved",
-  "Committed",
-  "In Progress",
-  "Complete",
+const DEFAULT_STATUSES = [
+  {
+    name: "Considering",
+    color: "#b7bfce",
+    countsTowardTotals: true,
+    dimsBranch: false,
+    pulses: false,
+    isDone: false,
+  },
+  {
+    name: "Shelved",
+    color: "#9fa6b4",
+    countsTowardTotals: false,
+    dimsBranch: true,
+    pulses: false,
+    isDone: false,
+  },
+  {
+    name: "Committed",
+    color: "#6d77ff",
+    countsTowardTotals: true,
+    dimsBranch: false,
+    pulses: false,
+    isDone: false,
+  },
+  {
+    name: "In Progress",
+    color: "#4b8cff",
+    countsTowardTotals: true,
+    dimsBranch: false,
+    pulses: true,
+    isDone: false,
+  },
+  {
+    name: "Complete",
+    color: "#2eb67d",
+    countsTowardTotals: true,
+    dimsBranch: false,
+    pulses: false,
+    isDone: true,
+  },
 ];
-
-const STATUS_CLASS_MAP = new Map(
-  STATUS_OPTIONS.map((status) => [
-    status,
-    `node--status-${status.toLowerCase().replace(/\s+/g, "-")}`,
-  ])
-);
-const STATUS_CLASS_NAMES = Array.from(STATUS_CLASS_MAP.values());
-const ASSIGNEE_CLASS_MAP = new Map([
-  ["Trey", "node--trey"],
-  ["Sarah", "node--sarah"],
-  ["Both", "node--both"],
+const FALLBACK_STATUS = {
+  id: null,
+  name: "No status",
+  color: "#b7bfce",
+  countsTowardTotals: true,
+  dimsBranch: false,
+  pulses: false,
+  isDone: false,
+};
+const PERSON_COLORS = [
+  "#f2994a",
+  "#27ae60",
+  "#9b51e0",
+  "#2d9cdb",
+  "#eb5757",
+  "#d4a017",
+];
+const LEGACY_ASSIGNEES = new Map([
+  ["Trey", { names: ["Trey"], color: "#f2994a" }],
+  ["Sarah", { names: ["Sarah"], color: "#27ae60" }],
+  ["Both", { names: ["Trey", "Sarah"] }],
 ]);
-const ASSIGNEE_CLASS_NAMES = Array.from(ASSIGNEE_CLASS_MAP.values());
 
 function setTextSelectionDisabled(isDisabled) {
   document.body.classList.toggle("is-panning", isDisabled);
 }
 
-function loadState() {
-  const saved = localStorage.getItem(STORAGE_KEY);
+const STORAGE_MIGRATIONS = [
+  {
+    version: 2,
+    migrate() {
+      const legacyData = localStorage.getItem(LEGACY_STORAGE_KEY);
+      if (!legacyData) {
+        return;
+      }
+      const mapId = crypto.randomUUID();
+      let legacyMap;
+      try {
+        legacyMap = JSON.parse(legacyData);
+      } catch (error) {
+        console.warn("Legacy map data is unreadable; keeping a backup", error);
+        localStorage.setItem(`${MAP_BACKUP_KEY_PREFIX}${mapId}`, legacyData);
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        return;
+      }
+      localStorage.setItem(
+        mapDataKey(mapId),
+        JSON.stringify({ format: MAP_FILE_FORMAT, version: 1, map: legacyMap })
+      );
+      const legacyHistory = localStorage.getItem(LEGACY_HISTORY_STORAGE_KEY);
+      if (legacyHistory) {
+        localStorage.setItem(mapHistoryKey(mapId), legacyHistory);
+      }
+      const index = readMapIndex() || { activeMapId: null, maps: [] };
+      index.maps.push({ id: mapId, name: deriveMapName(legacyMap) });
+      index.activeMapId = mapId;
+      localStorage.setItem(MAP_INDEX_KEY, JSON.stringify(index));
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+      localStorage.removeItem(LEGACY_HISTORY_STORAGE_KEY);
+    },
+  },
+];
+const STORAGE_VERSION = STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
+
+const MAP_MIGRATIONS = [
+  {
+    version: 2,
+    migrate(map) {
+      const people = [];
+      const personIdFor = (name) => {
+        let person = people.find((item) => item.name === name);
+        if (!person) {
+          person = {
+            id: crypto.randomUUID(),
+            name,
+            color:
+              LEGACY_ASSIGNEES.get(name)?.color ||
+              PERSON_COLORS[people.length % PERSON_COLORS.length],
+          };
+          people.push(person);
+        }
+        return person.id;
+      };
+      const nodes = map.nodes.map(({ assignedTo, ...node }) => {
+        const names = assignedTo
+          ? LEGACY_ASSIGNEES.get(assignedTo)?.names || [assignedTo]
+          : [];
+        return { ...node, assignees: names.map(personIdFor) };
+      });
+      return { ...map, people, nodes };
+    },
+  },
+  {
+    version: 3,
+    migrate(map) {
+      const statuses = createDefaultStatuses();
+      const statusIdFor = (name) => {
+        let status = statuses.find((item) => item.name === name);
+        if (!status) {
+          status = { ...FALLBACK_STATUS, id: crypto.randomUUID(), name };
+          statuses.push(status);
+        }
+        return status.id;
+      };
+      const nodes = map.nodes.map(({ status, ...node }) => ({
+        ...node,
+        statusId: statusIdFor(status || DEFAULT_STATUSES[0].name),
+      }));
+      return { ...map, statuses, nodes };
+    },
+  },
+  {
+    version: 4,
+    migrate(map) {
+      return {
+        ...map,
+        settings: createDefaultSettings(),
+        people: map.people.map((person) => ({
+          ...person,
+          hoursPerWeek: DEFAULT_HOURS_PER_WEEK,
+        })),
+      };
+    },
+  },
+  {
+    version: 5,
+    migrate(map) {
+      return {
+        ...map,
+        nodes: map.nodes.map((node) => ({ ...node, startDate: null })),
+      };
+    },
+  },
+  {
+    version: 6,
+    migrate(map) {
+      return {
+        ...map,
+        nodes: map.nodes.map((node) => ({ ...node, entries: [] })),
+      };
+    },
+  },
+  {
+    version: 7,
+    migrate(map) {
+      return {
+        ...map,
+        settings: { ...map.settings, hourlyRate: DEFAULT_HOURLY_RATE },
+        people: map.people.map((person) => ({ ...person, hourlyRate: null })),
+      };
+    },
+  },
+  {
+    version: 8,
+    migrate(map) {
+      return { ...map, settings: { ...map.settings, layout: "radial" } };
+    },
+  },
+  {
+    version: 9,
+    migrate(map) {
+      return {
+        ...map,
+        nodes: map.nodes.map((node) => ({ ...node, collapsed: false })),
+      };
+    },
+  },
+  {
+    version: 10,
+    migrate(map) {
+      return {
+        ...map,
+        nodes: map.nodes.map((node) => ({ ...node, tags: [] })),
+      };
+    },
+  },
+  {
+    version: 11,
+    migrate(map) {
+      return {
+        ...map,
+        links: map.links.map((link) => ({
+          ...link,
+          type: "hierarchy",
+          label: "",
+        })),
+      };
+    },
+  },
+  {
+    version: 12,
+    migrate(map) {
+      return {
+        ...map,
+        nodes: map.nodes.map((node) => ({
+          ...node,
+          kind: "task",
+          chosenOptionId: null,
+        })),
+      };
+    },
+  },
+  {
+    version: 13,
+    migrate(map) {
+      return {
+        ...map,
+        statuses: map.statuses.map((status) => ({
+          ...status,
+          isDone: status.name.trim().toLowerCase() === "complete",
+        })),
+        nodes: map.nodes.map((node) => ({ ...node, dueDate: null })),
+      };
+    },
+  },
+  {
+    version: 14,
+    migrate(map) {
+      return {
+        ...map,
+        nodes: map.nodes.map((node) => ({ ...node, attachments: [] })),
+      };
+    },
+  },
+];
+
+runStorageMigrations();
+let mapIndex = loadMapIndex();
+let scenarioIndex = loadScenarioIndex();
+let state = loadState();
+let undoHistory = loadHistory();
+let selectedNodeId = state.nodes[0]?.id ?? null;
+let selectedNodeIds = new Set();
+let marqueeState = null;
+
+function runStorageMigrations() {
+  const currentVersion = Number(localStorage.getItem(STORAGE_VERSION_KEY)) || 1;
+  if (currentVersion > STORAGE_VERSION) {
+    console.warn(
+      `Saved data uses storage version ${currentVersion}, newer than ${STORAGE_VERSION}`
+    );
+    return;
+  }
+  const pending = STORAGE_MIGRATIONS.filter(
+    (migration) => migration.version > currentVersion
+  );
+  for (const migration of pending) {
+    try {
+      migration.migrate();
+      localStorage.setItem(STORAGE_VERSION_KEY, String(migration.version));
+    } catch (error) {
+      console.error(`Storage migration to version ${migration.version} failed`, error);
+      return;
+    }
+  }
+}
+
+function upgradeMap(map, fromVersion) {
+  return MAP_MIGRATIONS.filter(
+    (migration) => migration.version > fromVersion
+  ).reduce((current, migration) => migration.migrate(current), map);
+}
+
+function mapDataKey(mapId) {
+  return `${MAP_DATA_KEY_PREFIX}${mapId}`;
+}
+
+function mapHistoryKey(mapId) {
+  return `${MAP_HISTORY_KEY_PREFIX}${mapId}`;
+}
+
+function mapScenariosKey(mapId) {
+  return `${MAP_SCENARIOS_KEY_PREFIX}${mapId}`;
+}
+
+function mapScenarioDataKey(mapId, scenarioId) {
+  return `${MAP_SCENARIO_DATA_KEY_PREFIX}${mapId}:${scenarioId}`;
+}
+
+function activeMapKey() {
+  return scenarioIndex.activeScenarioId
+    ? mapScenarioDataKey(mapIndex.activeMapId, scenarioIndex.activeScenarioId)
+    : mapDataKey(mapIndex.activeMapId);
+}
+
+function activeHistoryKey() {
+  const key = mapHistoryKey(mapIndex.activeMapId);
+  return scenarioIndex.activeScenarioId
+    ? `${key}:${scenarioIndex.activeScenarioId}`
+    : key;
+}
+
+function deriveMapName(map) {
+  const linkedIds = new Set((map?.links || []).map((link) => link.to));
+  const nodes = Array.isArray(map?.nodes) ? map.nodes : [];
+  const root = nodes.find((node) => !linkedIds.has(node.id)) || nodes[0];
+  return root?.name || "Untitled map";
+}
+
+function readMapIndex() {
+  const saved = localStorage.getItem(MAP_INDEX_KEY);
+  if (!saved) {
+    return null;
+  }
+  try {
+    const index = JSON.parse(saved);
+    if (Array.isArray(index?.maps)) {
+      return index;
+    }
+  } catch (error) {
+    console.warn("Failed to parse map index", error);
+  }
+  return null;
+}
+
+function loadMapIndex() {
+  let index = readMapIndex();
+  if (!index || index.maps.length === 0) {
+    index = { activeMapId: null, maps: [] };
+    for (let i = 0; i < localStorage.length; i += 1) {
+      const key = localStorage.key(i);
+      if (key.startsWith(MAP_DATA_KEY_PREFIX)) {
+        const mapId = key.slice(MAP_DATA_KEY_PREFIX.length);
+        index.maps.push({ id: mapId, name: deriveMapName(readMapRecord(mapId)) });
+      }
+    }
+  }
+  if (index.maps.length === 0) {
+    const mapId = crypto.randomUUID();
+    const sample = createSampleState();
+    writeMapRecord(mapId, sample);
+    index.maps.push({ id: mapId, name: deriveMapName(sample) });
+  }
+  if (!index.maps.some((map) => map.id === index.activeMapId)) {
+    index.activeMapId = index.maps[0].id;
+  }
+  localStorage.setItem(MAP_INDEX_KEY, JSON.stringify(index));
+  return index;
+}
+
+function saveMapIndex() {
+  localStorage.setItem(MAP_INDEX_KEY, JSON.stringify(mapIndex));
+}
+
+function getActiveMapEntry() {
+  return mapIndex.maps.find((map) => map.id === mapIndex.activeMapId);
+}
+
+function loadScenarioIndex() {
+  const saved = localStorage.getItem(mapScenariosKey(mapIndex.activeMapId));
   if (saved) {
     try {
-      return JSON.parse(saved);
+      const parsed = JSON.parse(saved);
+      if (Array.isArray(parsed.scenarios)) {
+        const hasActive = parsed.scenarios.some(
+          (scenario) => scenario.id === parsed.activeScenarioId
+        );
+        return {
+          activeScenarioId: hasActive ? parsed.activeScenarioId : null,
+          scenarios: parsed.scenarios,
+        };
+      }
     } catch (error) {
-      console.warn("Failed to parse saved data", error);
+      console.warn("Failed to parse scenarios", error);
     }
   }
+  return { activeScenarioId: null, scenarios: [] };
+}
+
+function saveScenarioIndex() {
+  localStorage.setItem(
+    mapScenariosKey(mapIndex.activeMapId),
+    JSON.stringify(scenarioIndex)
+  );
+}
+
+function getScenario(scenarioId) {
+  return scenarioIndex.scenarios.find(
+    (scenario) => scenario.id === scenarioId
+  );
+}
+
+function readScenarioMap(scenarioId) {
+  if (scenarioId === "main") {
+    return scenarioIndex.activeScenarioId
+      ? readMapRecord(mapIndex.activeMapId)
+      : state;
+  }
+  if (scenarioId === scenarioIndex.activeScenarioId) {
+    return state;
+  }
+  if (!getScenario(scenarioId)) {
+    return null;
+  }
+  return readStoredMap(mapScenarioDataKey(mapIndex.activeMapId, scenarioId))
+    .map;
+}
+
+function readMapRecord(mapId) {
+  const result = readStoredMap(mapDataKey(mapId));
+  if (!result.map && result.errors.length > 0) {
+    console.warn(`Stored map ${mapId} is invalid; keeping a backup`, result.errors);
+    localStorage.setItem(
+      `${MAP_BACKUP_KEY_PREFIX}${mapId}`,
+      localStorage.getItem(mapDataKey(mapId))
+    );
+  }
+  return result.map;
+}
+
+function readStoredMap(key) {
+  const saved = localStorage.getItem(key);
+  if (!saved) {
+    return { map: null, errors: [] };
+  }
+  try {
+    return validateMapFile(JSON.parse(saved), { allowDanglingLinks: true });
+  } catch (error) {
+    return { map: null, errors: [error.message] };
+  }
+}
+
+function writeStoredMap(key, map) {
+  localStorage.setItem(
+    key,
+    JSON.stringify({ format: MAP_FILE_FORMAT, version: MAP_SCHEMA_VERSION, map })
+  );
+}
+
+function writeMapRecord(mapId, map) {
+  writeStoredMap(mapDataKey(mapId), map);
+}
+
+function createNodeData(overrides = {}) {
+  return {
+    id: crypto.randomUUID(),
+    name: "New Node",
+    description: "",
+    estimatedCost: 0,
+    estimatedTime: 0,
+    statusId: null,
+    assignees: [],
+    startDate: null,
+    dueDate: null,
+    entries: [],
+    positionLocked: false,
+    position: null,
+    collapsed: false,
+    tags: [],
+    kind: "task",
+    chosenOptionId: null,
+    attachments: [],
+    ...overrides,
+  };
+}
+
+function createDefaultStatuses() {
+  return DEFAULT_STATUSES.map((status) => ({
+    id: crypto.randomUUID(),
+    ...status,
+  }));
+}
+
+function createDefaultSettings() {
+  return {
+    startDate: null,
+    defaultHoursPerWeek: DEFAULT_HOURS_PER_WEEK,
+    showCriticalPath: true,
+    hourlyRate: DEFAULT_HOURLY_RATE,
+    layout: "radial",
+  };
+}
 
+function createSampleState() {
+  const statuses = createDefaultStatuses();
+  const statusId = (name) => statuses.find((status) => status.name === name).id;
+  const trey = {
+    id: crypto.randomUUID(),
+    name: "Trey",
+    color: PERSON_COLORS[0],
+    hoursPerWeek: DEFAULT_HOURS_PER_WEEK,
+    hourlyRate: null,
+  };
+  const sarah = {
+    id: crypto.randomUUID(),
+    name: "Sarah",
+    color: PERSON_COLORS[1],
+    hoursPerWeek: DEFAULT_HOURS_PER_WEEK,
+    hourlyRate: null,
+  };
   return {
+    settings: createDefaultSettings(),
+    people: [trey, sarah],
+    statuses,
     nodes: [
-      {
-        id: crypto.randomUUID(),
+      createNodeData({
         name: "Dream Cabin Getaway",
         description: "Cozy weekend space for family and friends.",
         estimatedCost: 12000,
         estimatedTime: 80,
-        status: "Considering",
-        assignedTo: "",
-      },
-      {
-        id: crypto.randomUUID(),
+        statusId: statusId("Considering"),
+      }),
+      createNodeData({
         name: "Permits & Paperwork",
         description: "Local approvals and inspections.",
         estimatedCost: 800,
         estimatedTime: 12,
-        status: "Committed",
-        assignedTo: "Sarah",
-      },
-      {
-        id: crypto.randomUUID(),
+        statusId: statusId("Committed"),
+        assignees: [sarah.id],
+      }),
+      createNodeData({
         name: "Design Layout",
         description: "Blueprint and floor planning.",
         estimatedCost: 1500,
         estimatedTime: 25,
-        status: "In Progress",
-        assignedTo: "Trey",
-      },
+        statusId: statusId("In Progress"),
+        assignees: [trey.id],
+      }),
     ],
     links: [],
   };
 }
 
+function createBlankState(name) {
+  const statuses = createDefaultStatuses();
+  return {
+    settings: createDefaultSettings(),
+    people: [],
+    statuses,
+    nodes: [createNodeData({ name, statusId: statuses[0].id })],
+    links: [],
+  };
+}
+
+function loadState() {
+  loadProblem = null;
+  const key = activeMapKey();
+  const { map, errors } = readStoredMap(key);
+  if (!map && errors.length > 0) {
+    loadProblem = {
+      key,
+      name:
+        getScenario(scenarioIndex.activeScenarioId)?.name ||
+        getActiveMapEntry()?.name ||
+        "This map",
+      errors,
+    };
+  }
+  return map || createBlankState(getActiveMapEntry()?.name || "New Map");
+}
+
 function saveState() {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  if (loadProblem) {
+    return;
+  }
+  try {
+    writeStoredMap(activeMapKey(), state);
+  } catch (error) {
+    console.warn("Failed to save map", error);
+  }
 }
 
-function buildGraph() {
-  const nodesById = new Map(state.nodes.map((node) => [node.id, node]));
+function loadHistory() {
+  const saved = localStorage.getItem(activeHistoryKey());
+  if (saved) {
+    try {
+      const parsed = JSON.parse(saved);
+      if (Array.isArray(parsed.undo) && Array.isArray(parsed.redo)) {
+        return { undo: parsed.undo, redo: parsed.redo };
+      }
+    } catch (error) {
+      console.warn("Failed to parse saved history", error);
+    }
+  }
+  return { undo: [], redo: [] };
+}
+
+function isQuotaError(error) {
+  return (
+    error?.name === "QuotaExceededError" ||
+    error?.name === "NS_ERROR_DOM_QUOTA_REACHED"
+  );
+}
+
+function trimOldestHistory() {
+  const stack =
+    undoHistory.undo.length > 0 ? undoHistory.undo : undoHistory.redo;
+  if (stack.length === 0) {
+    return false;
+  }
+  stack.splice(0, Math.ceil(stack.length / 4));
+  return true;
+}
+
+function saveHistory() {
+  while (true) {
+    try {
+      localStorage.setItem(activeHistoryKey(), JSON.stringify(undoHistory));
+      return;
+    } catch (error) {
+      if (!isQuotaError(error) || !trimOldestHistory()) {
+        console.warn("Failed to save history", error);
+        return;
+      }
+    }
+  }
+}
+
+function recordHistory(label, { coalesceKey = null } = {}) {
+  const now = Date.now();
+  const lastEntry = undoHistory.undo[undoHistory.undo.length - 1];
+  if (
+    coalesceKey &&
+    lastEntry &&
+    lastEntry.coalesceKey === coalesceKey &&
+    undoHistory.redo.length === 0 &&
+    now - lastEntry.timestamp < HISTORY_COALESCE_MS
+  ) {
+    lastEntry.timestamp = now;
+    saveHistory();
+    return;
+  }
+
+  undoHistory.undo.push({
+    label,
+    coalesceKey,
+    timestamp: now,
+    selectedNodeId,
+    version: MAP_SCHEMA_VERSION,
+    snapshot: JSON.stringify(state),
+  });
+  if (undoHistory.undo.length > HISTORY_LIMIT) {
+    undoHistory.undo.splice(0, undoHistory.undo.length - HISTORY_LIMIT);
+  }
+  undoHistory.redo = [];
+  saveHistory();
+  updateHistoryButtons();
+}
+
+function restoreHistoryEntry(entry) {
+  state = upgradeMap(JSON.parse(entry.snapshot), entry.version ?? 1);
+  const hasSelection = state.nodes.some(
+    (node) => node.id === entry.selectedNodeId
+  );
+  selectedNodeId = hasSelection
+    ? entry.selectedNodeId
+    : state.nodes[0]?.id ?? null;
+  saveState();
+  saveHistory();
+  updateHistoryButtons();
+  render();
+}
+
+function undo() {
+  const entry = undoHistory.undo.pop();
+  if (!entry) {
+    return;
+  }
+  undoHistory.redo.push({
+    ...entry,
+    coalesceKey: null,
+    selectedNodeId,
+    version: MAP_SCHEMA_VERSION,
+    snapshot: JSON.stringify(state),
+  });
+  restoreHistoryEntry(entry);
+}
+
+function redo() {
+  const entry = undoHistory.redo.pop();
+  if (!entry) {
+    return;
+  }
+  undoHistory.undo.push({
+    ...entry,
+    coalesceKey: null,
+    selectedNodeId,
+    version: MAP_SCHEMA_VERSION,
+    snapshot: JSON.stringify(state),
+  });
+  restoreHistoryEntry(entry);
+}
+
+function updateHistoryButtons() {
+  const undoEntry = undoHistory.undo[undoHistory.undo.length - 1];
+  const redoEntry = undoHistory.redo[undoHistory.redo.length - 1];
+  undoButton.disabled = !undoEntry;
+  redoButton.disabled = !redoEntry;
+  undoButton.title = undoEntry ? `Undo ${undoEntry.label} (Ctrl+Z)` : "Nothing to undo";
+  redoButton.title = redoEntry
+    ? `Redo ${redoEntry.label} (Ctrl+Shift+Z)`
+    : "Nothing to redo";
+}
+
+function isEditableTarget(target) {
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+  );
+}
+
+function getLinkType(link) {
+  return LINK_TYPES[link.type] || LINK_TYPES.hierarchy;
+}
+
+function shapesLayout(link) {
+  return getLinkType(link).shapesLayout;
+}
+
+function buildGraph(includeLink = shapesLayout, map = state) {
+  const nodesById = new Map(map.nodes.map((node) => [node.id, node]));
   const childrenMap = new Map();
   const incomingMap = new Map();
 
-  state.links.forEach((link) => {
+  map.links.filter(includeLink).forEach((link) => {
     if (!childrenMap.has(link.from)) {
       childrenMap.set(link.from, []);
     }
@@ -145,79 +1052,539 @@ function buildGraph() {
   return { nodesById, childrenMap, incomingMap };
 }
 
-function collectDescendants(rootId, childrenMap) {
-  const visited = new Set();
-  const queue = [rootId];
-  while (queue.length) {
-    const currentId = queue.shift();
-    if (visited.has(currentId)) {
+function buildVisibleGraph(hiddenIds) {
+  const { nodesById, childrenMap, incomingMap } = buildGraph();
+  const isVisible = (nodeId) => !hiddenIds.has(nodeId);
+  const filterEdges = (edges) =>
+    new Map(
+      Array.from(edges)
+        .filter(([nodeId]) => isVisible(nodeId))
+        .map(([nodeId, ids]) => [nodeId, ids.filter(isVisible)])
+    );
+  return {
+    nodes: state.nodes.filter((node) => isVisible(node.id)),
+    nodesById,
+    childrenMap: filterEdges(childrenMap),
+    incomingMap: filterEdges(incomingMap),
+  };
+}
+
+function collectHiddenIds() {
+  const { childrenMap, incomingMap, nodesById } = buildGraph();
+  const reachable = new Set();
+  const queue = state.nodes
+    .filter((node) => !(incomingMap.get(node.id) || []).length)
+    .map((node) => node.id);
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    if (reachable.has(nodeId)) {
       continue;
     }
-    visited.add(currentId);
-    (childrenMap.get(currentId) || []).forEach((childId) => {
-      if (!visited.has(childId)) {
-        queue.push(childId);
-      }
-    });
+    reachable.add(nodeId);
+    if (!nodesById.get(nodeId)?.collapsed) {
+      queue.push(...(childrenMap.get(nodeId) || []));
+    }
   }
-  return visited;
-}
 
-function getRootId(incomingMap) {
-  const roots = state.nodes.filter(
-    (node) => !(incomingMap.get(node.id) || []).length
-  );
-  return roots[0]?.id ?? state.nodes[0]?.id ?? null;
+  const hiddenIds = new Set();
+  state.nodes
+    .filter((node) => node.collapsed)
+    .forEach((node) => {
+      collectDescendants(node.id, childrenMap).forEach((nodeId) => {
+        if (nodeId !== node.id && !reachable.has(nodeId)) {
+          hiddenIds.add(nodeId);
+        }
+      });
+    });
+  return hiddenIds;
 }
 
-function computeTotals() {
-  const { nodesById, childrenMap } = buildGraph();
-  const memo = new Map();
+function toggleCollapsed(nodeId) {
+  const node = state.nodes.find((item) => item.id === nodeId);
+  if (!node) {
+    return;
+  }
+  recordHistory(node.collapsed ? "Expand branch" : "Collapse branch");
+  node.collapsed = !node.collapsed;
+  saveState();
+  render();
+}
+
+function revealNode(nodeId) {
+  const { incomingMap, nodesById } = buildGraph();
+  const ancestors = new Set();
+  const queue = [...(incomingMap.get(nodeId) || [])];
+  while (queue.length > 0) {
+    const ancestorId = queue.shift();
+    if (ancestors.has(ancestorId)) {
+      continue;
+    }
+    ancestors.add(ancestorId);
+    queue.push(...(incomingMap.get(ancestorId) || []));
+  }
+  const collapsedAncestors = Array.from(ancestors)
+    .map((ancestorId) => nodesById.get(ancestorId))
+    .filter((node) => node?.collapsed);
+  if (collapsedAncestors.length === 0 || !collectHiddenIds().has(nodeId)) {
+    return;
+  }
+  recordHistory("Expand branch");
+  collapsedAncestors.forEach((node) => {
+    node.collapsed = false;
+  });
+  saveState();
+}
+
+function collapseToDepth(depth) {
+  const { childrenMap, incomingMap } = buildGraph();
+  const depthOf = new Map();
+  const queue = state.nodes
+    .filter((node) => !(incomingMap.get(node.id) || []).length)
+    .map((node) => node.id);
+  queue.forEach((nodeId) => depthOf.set(nodeId, 0));
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    (childrenMap.get(nodeId) || []).forEach((childId) => {
+      if (!depthOf.has(childId)) {
+        depthOf.set(childId, depthOf.get(nodeId) + 1);
+        queue.push(childId);
+      }
+    });
+  }
+  const shouldCollapse = (node) =>
+    Number.isFinite(depth) &&
+    (childrenMap.get(node.id) || []).length > 0 &&
+    (depthOf.get(node.id) ?? 0) >= depth;
+  const isUnchanged = state.nodes.every(
+    (node) => Boolean(node.collapsed) === shouldCollapse(node)
+  );
+  if (isUnchanged) {
+    return;
+  }
+  recordHistory(Number.isFinite(depth) ? "Collapse to depth" : "Expand all");
+  state.nodes.forEach((node) => {
+    node.collapsed = shouldCollapse(node);
+  });
+  saveState();
+  render();
+}
+
+function collectDescendants(rootId, childrenMap) {
+  const visited = new Set();
+  const queue = [rootId];
+  while (queue.length) {
+    const currentId = queue.shift();
+    if (visited.has(currentId)) {
+      continue;
+    }
+    visited.add(currentId);
+    (childrenMap.get(currentId) || []).forEach((childId) => {
+      if (!visited.has(childId)) {
+        queue.push(childId);
+      }
+    });
+  }
+  return visited;
+}
+
+function findPath(startId, targetId, childrenMap) {
+  const previous = new Map([[startId, null]]);
+  const queue = [startId];
+  while (queue.length > 0) {
+    const currentId = queue.shift();
+    if (currentId === targetId) {
+      const path = [];
+      for (let id = targetId; id !== null; id = previous.get(id)) {
+        path.unshift(id);
+      }
+      return path;
+    }
+    (childrenMap.get(currentId) || []).forEach((childId) => {
+      if (!previous.has(childId)) {
+        previous.set(childId, currentId);
+        queue.push(childId);
+      }
+    });
+  }
+  return null;
+}
+
+function findCycles(nodes, links) {
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const outgoing = new Map();
+  links.forEach((link) => {
+    if (!nodeIds.has(link.from) || !nodeIds.has(link.to)) {
+      return;
+    }
+    if (!outgoing.has(link.from)) {
+      outgoing.set(link.from, []);
+    }
+    outgoing.get(link.from).push(link);
+  });
+
+  const cycles = [];
+  const finished = new Set();
+  const stack = [];
+  const onStack = new Set();
+
+  function visit(nodeId) {
+    stack.push(nodeId);
+    onStack.add(nodeId);
+    (outgoing.get(nodeId) || []).forEach((link) => {
+      if (onStack.has(link.to)) {
+        const start = stack.indexOf(link.to);
+        cycles.push({ path: [...stack.slice(start), link.to], link });
+      } else if (!finished.has(link.to)) {
+        visit(link.to);
+      }
+    });
+    stack.pop();
+    onStack.delete(nodeId);
+    finished.add(nodeId);
+  }
+
+  nodes.forEach((node) => {
+    if (!finished.has(node.id)) {
+      visit(node.id);
+    }
+  });
+  return cycles;
+}
+
+function findGraphIssues() {
+  const nodeIds = new Set(state.nodes.map((node) => node.id));
+  const issues = [];
+  const seenPairs = new Map();
+
+  state.links.forEach((link) => {
+    const missing = ["from", "to"].filter((field) => !nodeIds.has(link[field]));
+    if (missing.length > 0) {
+      issues.push({ type: "dangling", linkIds: [link.id], link });
+      return;
+    }
+    if (link.from === link.to) {
+      issues.push({ type: "self", linkIds: [link.id], link });
+      return;
+    }
+    const pairKey = `${link.from}->${link.to}:${link.type}`;
+    if (seenPairs.has(pairKey)) {
+      seenPairs.get(pairKey).linkIds.push(link.id);
+    } else {
+      seenPairs.set(pairKey, { type: "duplicate", linkIds: [], link });
+    }
+  });
+  seenPairs.forEach((issue) => {
+    if (issue.linkIds.length > 0) {
+      issues.push(issue);
+    }
+  });
+
+  const duplicateIds = new Set(issues.flatMap((issue) => issue.linkIds));
+  findCycles(
+    state.nodes,
+    state.links.filter(
+      (link) => !duplicateIds.has(link.id) && shapesLayout(link)
+    )
+  ).forEach(({ path, link }) => {
+    issues.push({ type: "cycle", linkIds: [link.id], link, path });
+  });
+
+  return issues;
+}
+
+function getRootId(incomingMap) {
+  const roots = state.nodes.filter(
+    (node) => !(incomingMap.get(node.id) || []).length
+  );
+  return roots[0]?.id ?? state.nodes[0]?.id ?? null;
+}
+
+function emptyTotals() {
+  return {
+    cost: 0,
+    time: 0,
+    labor: 0,
+    effectiveCost: 0,
+    actualCost: 0,
+    actualTime: 0,
+  };
+}
+
+function getPersonRate(person, map = state) {
+  return isNonNegativeNumber(person.hourlyRate)
+    ? person.hourlyRate
+    : map.settings.hourlyRate;
+}
+
+function getHourlyRate(node, map = state) {
+  const rates = node.assignees
+    .map((personId) => map.people.find((person) => person.id === personId))
+    .filter(Boolean)
+    .map((person) => getPersonRate(person, map));
+  if (rates.length === 0) {
+    return map.settings.hourlyRate;
+  }
+  return rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+}
+
+function getNodeActuals(node) {
+  return node.entries.reduce(
+    (actuals, entry) => {
+      if (entry.kind === "expense") {
+        actuals.cost += entry.amount;
+      } else if (entry.kind === "time") {
+        actuals.time += entry.amount;
+      }
+      return actuals;
+    },
+    { cost: 0, time: 0 }
+  );
+}
+
+function getRolledUpChildIds(node, childrenMap) {
+  const childIds = childrenMap.get(node.id) || [];
+  if (node.kind !== "decision") {
+    return childIds;
+  }
+  return childIds.filter((childId) => childId === node.chosenOptionId);
+}
+
+function computeTotals(map = state) {
+  const { nodesById, childrenMap } = buildGraph(
+    (link) => getLinkType(link).rollsUp,
+    map
+  );
+  const memo = new Map();
 
   function totalFor(nodeId, trail = new Set()) {
     if (memo.has(nodeId)) {
       return memo.get(nodeId);
     }
     const node = nodesById.get(nodeId);
-    if (!node || node.status === "Shelved") {
-      const totals = { cost: 0, time: 0 };
+    if (!node || !getNodeStatus(node, map).countsTowardTotals) {
+      const totals = emptyTotals();
       memo.set(nodeId, totals);
       return totals;
     }
     if (trail.has(nodeId)) {
-      return { cost: 0, time: 0 };
+      return emptyTotals();
     }
     const nextTrail = new Set(trail);
     nextTrail.add(nodeId);
 
-    let cost = node.estimatedCost;
-    let time = node.estimatedTime;
+    const actuals = getNodeActuals(node);
+    const labor = node.estimatedTime * getHourlyRate(node, map);
+    const totals = {
+      cost: node.estimatedCost,
+      time: node.estimatedTime,
+      labor,
+      effectiveCost: node.estimatedCost + labor,
+      actualCost: actuals.cost,
+      actualTime: actuals.time,
+    };
 
-    (childrenMap.get(nodeId) || []).forEach((childId) => {
+    getRolledUpChildIds(node, childrenMap).forEach((childId) => {
       const childTotals = totalFor(childId, nextTrail);
-      cost += childTotals.cost;
-      time += childTotals.time;
+      Object.keys(totals).forEach((key) => {
+        totals[key] += childTotals[key];
+      });
     });
 
-    const totals = { cost, time };
     memo.set(nodeId, totals);
     return totals;
   }
 
   const totalsById = new Map();
-  state.nodes.forEach((node) => {
+  map.nodes.forEach((node) => {
     totalsById.set(node.id, totalFor(node.id));
   });
   return totalsById;
 }
 
-function computeLayout(nodeSizes) {
-  const { childrenMap, incomingMap, nodesById } = buildGraph();
-  const positions = layoutCache.positions;
+function parseDateInput(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) {
+    return null;
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+function formatDateInput(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function formatShortDate(date) {
+  return date.toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+function startOfToday() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function daysBetween(from, to) {
+  return Math.round((to - from) / DAY_MS);
+}
+
+function getWeeklyCapacity(node) {
+  const capacity = node.assignees
+    .map((personId) => state.people.find((person) => person.id === personId))
+    .filter(Boolean)
+    .reduce((sum, person) => sum + (person.hoursPerWeek || 0), 0);
+  return capacity > 0 ? capacity : state.settings.defaultHoursPerWeek;
+}
+
+function computeSchedule() {
+  const { nodesById, childrenMap, incomingMap } = buildGraph(
+    (link) => getLinkType(link).schedules
+  );
+  const uncountedBranchIds = collectUncountedBranchIds();
+  const projectStart =
+    parseDateInput(state.settings.startDate) || startOfToday();
+  const entries = new Map();
+
+  state.nodes.forEach((node) => {
+    const isCounted = !uncountedBranchIds.has(node.id);
+    const duration = isCounted
+      ? (node.estimatedTime / getWeeklyCapacity(node)) * 7
+      : 0;
+    entries.set(node.id, {
+      start: 0,
+      finish: duration,
+      duration,
+      latestStart: 0,
+      slack: 0,
+      isCounted,
+      isCritical: false,
+      isInCycle: false,
+    });
+  });
+
+  const existingChildren = (nodeId) =>
+    (childrenMap.get(nodeId) || []).filter((childId) => nodesById.has(childId));
+  const existingParents = (nodeId) =>
+    (incomingMap.get(nodeId) || []).filter((parentId) => nodesById.has(parentId));
+
+  const remaining = new Map(
+    state.nodes.map((node) => [node.id, existingParents(node.id).length])
+  );
+  const order = [];
+  const queue = state.nodes
+    .filter((node) => remaining.get(node.id) === 0)
+    .map((node) => node.id);
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    order.push(nodeId);
+    existingChildren(nodeId).forEach((childId) => {
+      remaining.set(childId, remaining.get(childId) - 1);
+      if (remaining.get(childId) === 0) {
+        queue.push(childId);
+      }
+    });
+  }
+  const ordered = new Set(order);
+  state.nodes.forEach((node) => {
+    if (!ordered.has(node.id)) {
+      entries.get(node.id).isInCycle = true;
+    }
+  });
+
+  order.forEach((nodeId) => {
+    const entry = entries.get(nodeId);
+    const pinnedStart = parseDateInput(nodesById.get(nodeId).startDate);
+    entry.start = Math.max(
+      0,
+      pinnedStart ? daysBetween(projectStart, pinnedStart) : 0,
+      ...existingParents(nodeId)
+        .filter((parentId) => ordered.has(parentId))
+        .map((parentId) => entries.get(parentId).finish)
+    );
+    entry.finish = entry.start + entry.duration;
+  });
+
+  const projectFinish = Math.max(
+    0,
+    ...Array.from(entries.values()).map((entry) => entry.finish)
+  );
+
+  [...order].reverse().forEach((nodeId) => {
+    const entry = entries.get(nodeId);
+    const latestFinish = Math.min(
+      projectFinish,
+      ...existingChildren(nodeId)
+        .filter((childId) => ordered.has(childId))
+        .map((childId) => entries.get(childId).latestStart)
+    );
+    entry.latestStart = latestFinish - entry.duration;
+    entry.slack = Math.max(0, entry.latestStart - entry.start);
+    entry.isCritical =
+      entry.isCounted &&
+      entry.duration > 0 &&
+      entry.slack < SCHEDULE_EPSILON;
+  });
+
+  const criticalLinkIds = new Set(
+    state.links
+      .filter((link) => {
+        if (!getLinkType(link).schedules) {
+          return false;
+        }
+        const from = entries.get(link.from);
+        const to = entries.get(link.to);
+        return (
+          from?.isCritical &&
+          to?.isCritical &&
+          Math.abs(from.finish - to.start) < SCHEDULE_EPSILON
+        );
+      })
+      .map((link) => link.id)
+  );
+
+  return {
+    projectStart,
+    projectFinish,
+    entries,
+    criticalLinkIds,
+    childrenMap,
+    order: [...order, ...state.nodes.map((node) => node.id).filter((id) => !ordered.has(id))],
+  };
+}
+
+function scheduleDate(schedule, offset, { isFinish = false } = {}) {
+  const days = isFinish ? Math.ceil(offset - SCHEDULE_EPSILON) - 1 : Math.floor(offset);
+  return addDays(schedule.projectStart, Math.max(days, 0));
+}
+
+function getSubtreeFinish(schedule, nodeId) {
+  let finish = 0;
+  collectDescendants(nodeId, schedule.childrenMap).forEach((id) => {
+    finish = Math.max(finish, schedule.entries.get(id)?.finish || 0);
+  });
+  return finish;
+}
+
+function formatDuration(days) {
+  if (days < SCHEDULE_EPSILON) {
+    return "0 days";
+  }
+  const rounded = Math.round(days * 10) / 10;
+  return `${rounded} day${rounded === 1 ? "" : "s"}`;
+}
+
+function computeLayout(nodeSizes, hiddenIds = new Set()) {
+  const graph = buildVisibleGraph(hiddenIds);
   const viewportRect = mapViewport.getBoundingClientRect();
-  const centerX = viewportRect.width / 2;
-  const centerY = viewportRect.height / 2;
-  const nodeCount = Math.max(state.nodes.length, 1);
+  const center = { x: viewportRect.width / 2, y: viewportRect.height / 2 };
 
   const existingIds = new Set(state.nodes.map((node) => node.id));
   layoutCache.positions.forEach((_, id) => {
@@ -226,7 +1593,27 @@ function computeLayout(nodeSizes) {
     }
   });
 
-  state.nodes.forEach((node, index) => {
+  if (state.settings.layout === "radial") {
+    return computeRadialLayout(nodeSizes, graph, center);
+  }
+  const computed =
+    state.settings.layout === "tree"
+      ? computeTreeLayout(nodeSizes, graph)
+      : computeLayeredLayout(nodeSizes, graph);
+  centerPositions(computed, center);
+  applyPinnedOffsets(computed, graph);
+  computed.forEach((position, id) => layoutCache.positions.set(id, position));
+  return layoutCache.positions;
+}
+
+function computeRadialLayout(nodeSizes, graph, center) {
+  const { nodes, childrenMap, incomingMap, nodesById } = graph;
+  const positions = layoutCache.positions;
+  const centerX = center.x;
+  const centerY = center.y;
+  const nodeCount = Math.max(nodes.length, 1);
+
+  nodes.forEach((node, index) => {
     let position = positions.get(node.id);
     if (node.positionLocked && node.position) {
       position = { ...node.position };
@@ -244,7 +1631,10 @@ function computeLayout(nodeSizes) {
     }
   });
 
-  const rootId = getRootId(incomingMap);
+  const roots = nodes.filter(
+    (node) => !(incomingMap.get(node.id) || []).length
+  );
+  const rootId = roots[0]?.id ?? nodes[0]?.id ?? null;
   if (rootId) {
     const rootNode = nodesById.get(rootId);
     if (rootNode && !rootNode.positionLocked) {
@@ -252,9 +1642,6 @@ function computeLayout(nodeSizes) {
     }
   }
 
-  const roots = state.nodes.filter(
-    (node) => !(incomingMap.get(node.id) || []).length
-  );
   const extraRoots = roots.filter((node) => node.id !== rootId);
   if (rootId && extraRoots.length > 0) {
     const rootPosition = positions.get(rootId) || { x: centerX, y: centerY };
@@ -320,88 +1707,583 @@ function computeLayout(nodeSizes) {
   return positions;
 }
 
-function buildLinkPath(x1, y1, x2, y2) {
-  const dx = x2 - x1;
-  const dy = y2 - y1;
-  const distance = Math.hypot(dx, dy);
-  const curveThreshold = 140;
-  let path = `M ${x1} ${y1} L ${x2} ${y2}`;
-
-  if (distance > curveThreshold) {
-    const midX = (x1 + x2) / 2;
-    const midY = (y1 + y2) / 2;
-    const curveIntensity = Math.min(distance / 3, 140);
-    const normX = distance === 0 ? 0 : -dy / distance;
-    const normY = distance === 0 ? 0 : dx / distance;
-    const controlX = midX + normX * curveIntensity;
-    const controlY = midY + normY * curveIntensity;
-    path = `M ${x1} ${y1} Q ${controlX} ${controlY} ${x2} ${y2}`;
-  }
-
-  return path;
-}
+function buildSpanningTree({ nodes, childrenMap, incomingMap }) {
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const treeChildren = new Map();
+  const parentOf = new Map();
+  const order = [];
+  const roots = [];
+  const visited = new Set();
 
-function updateLinkPositions(nodeElements, linkElements) {
-  linkElements.forEach((link) => {
-    const fromNode = nodeElements.get(link.from);
-    const toNode = nodeElements.get(link.to);
-    if (!fromNode || !toNode) {
-      return;
+  const walk = (rootId) => {
+    roots.push(rootId);
+    visited.add(rootId);
+    const queue = [rootId];
+    while (queue.length > 0) {
+      const parentId = queue.shift();
+      order.push(parentId);
+      treeChildren.set(parentId, []);
+      (childrenMap.get(parentId) || []).forEach((childId) => {
+        if (!nodeIds.has(childId) || visited.has(childId)) {
+          return;
+        }
+        visited.add(childId);
+        parentOf.set(childId, parentId);
+        treeChildren.get(parentId).push(childId);
+        queue.push(childId);
+      });
     }
-    const x1 = fromNode.position.x;
-    const y1 = fromNode.position.y;
-    const x2 = toNode.position.x;
-    const y2 = toNode.position.y;
-    const path = buildLinkPath(x1, y1, x2, y2);
+  };
 
-    link.path.setAttribute("d", path);
-    link.arrow.setAttribute("cx", x2);
-    link.arrow.setAttribute("cy", y2);
+  nodes
+    .filter((node) => !(incomingMap.get(node.id) || []).length)
+    .forEach((node) => walk(node.id));
+  nodes.forEach((node) => {
+    if (!visited.has(node.id)) {
+      walk(node.id);
+    }
   });
+
+  return { roots, treeChildren, parentOf, order };
 }
 
-function startLayoutAnimation(nodeSizes, nodeElements, linkElements) {
-  if (layoutCache.animationFrameId) {
-    cancelAnimationFrame(layoutCache.animationFrameId);
+function getLevelOffsets(levelOf, nodeSizes) {
+  const levelRadius = [];
+  levelOf.forEach((level, nodeId) => {
+    levelRadius[level] = Math.max(
+      levelRadius[level] || 0,
+      nodeSizes.get(nodeId)?.radius || 0
+    );
+  });
+  const offsets = [0];
+  for (let level = 1; level < levelRadius.length; level += 1) {
+    offsets[level] =
+      offsets[level - 1] +
+      (levelRadius[level - 1] || 0) +
+      (levelRadius[level] || 0) +
+      TREE_LEVEL_GAP;
   }
+  return offsets;
+}
 
-  const positions = computeLayout(nodeSizes);
-  nodeElements.forEach((node, id) => {
-    const position = positions.get(id);
-    if (!position) {
-      return;
-    }
-    node.position = position;
-    node.element.style.left = `${position.x}px`;
-    node.element.style.top = `${position.y}px`;
+function computeTreeLayout(nodeSizes, graph) {
+  const { roots, treeChildren } = buildSpanningTree(graph);
+  const positions = new Map();
+  const depthOf = new Map();
+  const widthOf = new Map();
+
+  const measure = (nodeId, depth) => {
+    depthOf.set(nodeId, depth);
+    const children = treeChildren.get(nodeId) || [];
+    const childrenWidth =
+      children.reduce((sum, childId) => sum + measure(childId, depth + 1), 0) +
+      TREE_SIBLING_GAP * Math.max(children.length - 1, 0);
+    const width = Math.max(
+      (nodeSizes.get(nodeId)?.radius || 0) * 2,
+      childrenWidth
+    );
+    widthOf.set(nodeId, width);
+    return width;
+  };
+  roots.forEach((rootId) => measure(rootId, 0));
+  const levelY = getLevelOffsets(depthOf, nodeSizes);
+
+  const place = (nodeId, left) => {
+    const width = widthOf.get(nodeId);
+    positions.set(nodeId, {
+      x: left + width / 2,
+      y: levelY[depthOf.get(nodeId)],
+    });
+    const children = treeChildren.get(nodeId) || [];
+    const childrenWidth =
+      children.reduce((sum, childId) => sum + widthOf.get(childId), 0) +
+      TREE_SIBLING_GAP * Math.max(children.length - 1, 0);
+    let cursor = left + (width - childrenWidth) / 2;
+    children.forEach((childId) => {
+      place(childId, cursor);
+      cursor += widthOf.get(childId) + TREE_SIBLING_GAP;
+    });
+  };
+  let cursor = 0;
+  roots.forEach((rootId) => {
+    place(rootId, cursor);
+    cursor += widthOf.get(rootId) + TREE_SIBLING_GAP * 2;
   });
-  updateLinkPositions(nodeElements, linkElements);
+
+  return positions;
 }
 
-function collectShelvedBranchIds() {
-  const { childrenMap } = buildGraph();
-  const shelvedBranchIds = new Set();
-  const queue = state.nodes
-    .filter((node) => node.status === "Shelved")
+function computeLayeredLayout(nodeSizes, { nodes, childrenMap, incomingMap }) {
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const layerOf = new Map();
+  const remainingParents = new Map(
+    nodes.map((node) => [
+      node.id,
+      (incomingMap.get(node.id) || []).filter((id) => nodeIds.has(id)).length,
+    ])
+  );
+  const queue = nodes
+    .filter((node) => remainingParents.get(node.id) === 0)
     .map((node) => node.id);
-
+  queue.forEach((nodeId) => layerOf.set(nodeId, 0));
   while (queue.length > 0) {
     const nodeId = queue.shift();
-    if (shelvedBranchIds.has(nodeId)) {
-      continue;
+    (childrenMap.get(nodeId) || []).forEach((childId) => {
+      if (!nodeIds.has(childId)) {
+        return;
+      }
+      layerOf.set(
+        childId,
+        Math.max(layerOf.get(childId) ?? 0, layerOf.get(nodeId) + 1)
+      );
+      remainingParents.set(childId, remainingParents.get(childId) - 1);
+      if (remainingParents.get(childId) === 0) {
+        queue.push(childId);
+      }
+    });
+  }
+  nodes.forEach((node) => {
+    if (!layerOf.has(node.id)) {
+      layerOf.set(node.id, 0);
+    }
+  });
+
+  const layers = [];
+  nodes.forEach((node) => {
+    const layer = layerOf.get(node.id);
+    layers[layer] = layers[layer] || [];
+    layers[layer].push(node.id);
+  });
+  const indexOf = new Map();
+  const updateIndexes = (layer) =>
+    layer.forEach((nodeId, index) => indexOf.set(nodeId, index));
+  layers.forEach((layer = []) => updateIndexes(layer));
+
+  for (let sweep = 0; sweep < LAYER_SWEEPS; sweep += 1) {
+    const isDownward = sweep % 2 === 0;
+    const neighborMap = isDownward ? incomingMap : childrenMap;
+    const layerIndexes = layers.map((_, index) => index);
+    if (!isDownward) {
+      layerIndexes.reverse();
+    }
+    layerIndexes.forEach((layerIndex) => {
+      const layer = layers[layerIndex];
+      if (!layer) {
+        return;
+      }
+      const barycenters = new Map(
+        layer.map((nodeId) => {
+          const neighbors = (neighborMap.get(nodeId) || []).filter((id) =>
+            indexOf.has(id)
+          );
+          const value = neighbors.length
+            ? neighbors.reduce((sum, id) => sum + indexOf.get(id), 0) /
+              neighbors.length
+            : indexOf.get(nodeId);
+          return [nodeId, value];
+        })
+      );
+      layer.sort((a, b) => barycenters.get(a) - barycenters.get(b));
+      updateIndexes(layer);
+    });
+  }
+
+  const levelY = getLevelOffsets(layerOf, nodeSizes);
+  const positions = new Map();
+  layers.forEach((layer = [], layerIndex) => {
+    const widths = layer.map(
+      (nodeId) => (nodeSizes.get(nodeId)?.radius || 0) * 2
+    );
+    const totalWidth =
+      widths.reduce((sum, width) => sum + width, 0) +
+      TREE_SIBLING_GAP * Math.max(layer.length - 1, 0);
+    let cursor = -totalWidth / 2;
+    layer.forEach((nodeId, index) => {
+      positions.set(nodeId, {
+        x: cursor + widths[index] / 2,
+        y: levelY[layerIndex],
+      });
+      cursor += widths[index] + TREE_SIBLING_GAP;
+    });
+  });
+
+  return positions;
+}
+
+function centerPositions(positions, center) {
+  const xs = Array.from(positions.values(), (position) => position.x);
+  const ys = Array.from(positions.values(), (position) => position.y);
+  if (xs.length === 0) {
+    return;
+  }
+  const dx = center.x - (Math.min(...xs) + Math.max(...xs)) / 2;
+  const dy = center.y - (Math.min(...ys) + Math.max(...ys)) / 2;
+  positions.forEach((position) => {
+    position.x += dx;
+    position.y += dy;
+  });
+}
+
+function applyPinnedOffsets(positions, graph) {
+  const { parentOf, order } = buildSpanningTree(graph);
+  const nodesById = graph.nodesById;
+  const offsets = new Map();
+  order.forEach((nodeId) => {
+    const node = nodesById.get(nodeId);
+    const position = positions.get(nodeId);
+    if (!node || !position) {
+      return;
+    }
+    if (node.positionLocked && node.position) {
+      offsets.set(nodeId, {
+        x: node.position.x - position.x,
+        y: node.position.y - position.y,
+      });
+      positions.set(nodeId, { ...node.position });
+      return;
+    }
+    const offset = offsets.get(parentOf.get(nodeId)) || { x: 0, y: 0 };
+    offsets.set(nodeId, offset);
+    position.x += offset.x;
+    position.y += offset.y;
+  });
+}
+
+function setLayoutMode(mode) {
+  if (!LAYOUT_MODES.includes(mode) || mode === state.settings.layout) {
+    return;
+  }
+  recordHistory("Change layout");
+  state.settings.layout = mode;
+  layoutCache.positions.clear();
+  saveState();
+  render();
+  fitToScreen();
+}
+
+function resetPositions(rootId = null) {
+  const { childrenMap } = buildGraph();
+  const ids = rootId
+    ? collectDescendants(rootId, childrenMap)
+    : new Set(state.nodes.map((node) => node.id));
+  const pinnedNodes = state.nodes.filter(
+    (node) => ids.has(node.id) && node.positionLocked
+  );
+  if (pinnedNodes.length === 0) {
+    return;
+  }
+  recordHistory(rootId ? "Reset subtree positions" : "Reset positions");
+  pinnedNodes.forEach((node) => {
+    node.positionLocked = false;
+    node.position = null;
+  });
+  ids.forEach((id) => layoutCache.positions.delete(id));
+  saveState();
+  render();
+}
+
+function buildLinkGeometry(x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const distance = Math.hypot(dx, dy);
+  const curveThreshold = 140;
+  const angle = (Math.atan2(dy, dx) * 180) / Math.PI;
+  let path = `M ${x1} ${y1} L ${x2} ${y2}`;
+  let markerX = (x1 + x2) / 2;
+  let markerY = (y1 + y2) / 2;
+
+  if (distance > curveThreshold) {
+    const midX = (x1 + x2) / 2;
+    const midY = (y1 + y2) / 2;
+    const curveIntensity = Math.min(distance / 3, 140);
+    const normX = distance === 0 ? 0 : -dy / distance;
+    const normY = distance === 0 ? 0 : dx / distance;
+    const controlX = midX + normX * curveIntensity;
+    const controlY = midY + normY * curveIntensity;
+    path = `M ${x1} ${y1} Q ${controlX} ${controlY} ${x2} ${y2}`;
+    markerX = (midX + controlX) / 2;
+    markerY = (midY + controlY) / 2;
+  }
+
+  return { path, markerX, markerY, angle };
+}
+
+function getLinkStroke(link, isCritical) {
+  const type = getLinkType(link);
+  return {
+    color: isCritical ? "#eb5757" : type.color,
+    width: isCritical ? 3 : 2,
+    dash: type.dash,
+  };
+}
+
+function placeLinkMarker(marker, { markerX, markerY, angle }) {
+  marker.setAttribute("transform", `translate(${markerX} ${markerY})`);
+  marker.firstChild.setAttribute("transform", `rotate(${angle})`);
+}
+
+function createLinkMarker(link) {
+  const marker = document.createElementNS("http://www.w3.org/2000/svg", "g");
+  marker.classList.add("link__marker");
+  const glyph = document.createElementNS("http://www.w3.org/2000/svg", "g");
+  glyph.innerHTML = getLinkType(link).glyph;
+  marker.appendChild(glyph);
+  if (link.label) {
+    const text = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      "text"
+    );
+    text.classList.add("link__label");
+    text.setAttribute("y", "-10");
+    text.setAttribute("text-anchor", "middle");
+    text.textContent = link.label;
+    marker.appendChild(text);
+  }
+  return marker;
+}
+
+function updateLinkPositions(nodeElements, linkElements) {
+  linkElements.forEach((link) => {
+    const fromNode = nodeElements.get(link.from);
+    const toNode = nodeElements.get(link.to);
+    if (!fromNode || !toNode) {
+      return;
+    }
+    const geometry = buildLinkGeometry(
+      fromNode.position.x,
+      fromNode.position.y,
+      toNode.position.x,
+      toNode.position.y
+    );
+
+    link.path.setAttribute("d", geometry.path);
+    placeLinkMarker(link.marker, geometry);
+  });
+}
+
+function startLayoutAnimation(
+  nodeSizes,
+  nodeElements,
+  linkElements,
+  hiddenIds
+) {
+  if (layoutCache.animationFrameId) {
+    cancelAnimationFrame(layoutCache.animationFrameId);
+    layoutCache.animationFrameId = null;
+  }
+
+  const targets = computeLayout(nodeSizes, hiddenIds);
+  resolveOverlaps(targets, nodeSizes, hiddenIds);
+  const starts = new Map();
+  nodeElements.forEach((_, id) => {
+    const target = targets.get(id);
+    if (target) {
+      starts.set(id, layoutCache.displayedPositions.get(id) || target);
+    }
+  });
+  layoutCache.displayedPositions = new Map(starts);
+  const reduceMotion = window.matchMedia?.(
+    "(prefers-reduced-motion: reduce)"
+  ).matches;
+  const startTime = performance.now();
+
+  const step = (now) => {
+    const progress = reduceMotion
+      ? 1
+      : Math.min((now - startTime) / LAYOUT_ANIMATION_MS, 1);
+    const eased = 1 - Math.pow(1 - progress, 3);
+    starts.forEach((start, id) => {
+      if (isNodeDragging && draggedSubtreeIds.has(id)) {
+        return;
+      }
+      const target = targets.get(id);
+      const node = nodeElements.get(id);
+      const position = {
+        x: start.x + (target.x - start.x) * eased,
+        y: start.y + (target.y - start.y) * eased,
+      };
+      node.position = position;
+      node.element.style.left = `${position.x}px`;
+      node.element.style.top = `${position.y}px`;
+      layoutCache.displayedPositions.set(id, position);
+    });
+    updateLinkPositions(nodeElements, linkElements);
+    layoutCache.animationFrameId =
+      progress < 1 ? requestAnimationFrame(step) : null;
+  };
+  step(startTime);
+}
+
+function resolveOverlaps(positions, nodeSizes, hiddenIds = new Set()) {
+  const items = state.nodes
+    .filter((node) => positions.has(node.id) && !hiddenIds.has(node.id))
+    .map((node) => ({
+      position: positions.get(node.id),
+      radius: nodeSizes.get(node.id)?.radius || 0,
+      isPinned: Boolean(node.positionLocked && node.position),
+    }));
+
+  for (let iteration = 0; iteration < OVERLAP_ITERATIONS; iteration += 1) {
+    let didMove = false;
+    for (let i = 0; i < items.length; i += 1) {
+      for (let j = i + 1; j < items.length; j += 1) {
+        const a = items[i];
+        const b = items[j];
+        if (a.isPinned && b.isPinned) {
+          continue;
+        }
+        let dx = b.position.x - a.position.x;
+        let dy = b.position.y - a.position.y;
+        let distance = Math.hypot(dx, dy);
+        const minDistance = a.radius + b.radius + OVERLAP_GAP;
+        if (distance >= minDistance) {
+          continue;
+        }
+        if (distance === 0) {
+          const angle = (j / items.length) * Math.PI * 2;
+          dx = Math.cos(angle);
+          dy = Math.sin(angle);
+          distance = 1;
+        }
+        const push = minDistance - distance;
+        const share = a.isPinned ? 0 : b.isPinned ? 1 : 0.5;
+        a.position.x -= (dx / distance) * push * share;
+        a.position.y -= (dy / distance) * push * share;
+        b.position.x += (dx / distance) * push * (1 - share);
+        b.position.y += (dy / distance) * push * (1 - share);
+        didMove = true;
+      }
+    }
+    if (!didMove) {
+      break;
+    }
+  }
+}
+
+function getNodeStatus(node, map = state) {
+  return (
+    map.statuses.find((status) => status.id === node.statusId) ||
+    map.statuses[0] ||
+    FALLBACK_STATUS
+  );
+}
+
+function collectBranchIds(isBranchRoot) {
+  const { childrenMap } = buildGraph();
+  const branchIds = new Set();
+  const queue = state.nodes.filter(isBranchRoot).map((node) => node.id);
+
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    if (branchIds.has(nodeId)) {
+      continue;
     }
-    shelvedBranchIds.add(nodeId);
+    branchIds.add(nodeId);
     (childrenMap.get(nodeId) || []).forEach((childId) => {
-      if (!shelvedBranchIds.has(childId)) {
+      if (!branchIds.has(childId)) {
         queue.push(childId);
       }
     });
   }
 
-  return shelvedBranchIds;
+  return branchIds;
+}
+
+function collectCandidateIds() {
+  const { childrenMap } = buildGraph((link) => getLinkType(link).rollsUp);
+  const candidateIds = new Set();
+  state.nodes.forEach((node) => {
+    if (node.kind !== "decision") {
+      return;
+    }
+    (childrenMap.get(node.id) || []).forEach((childId) => {
+      if (childId !== node.chosenOptionId) {
+        candidateIds.add(childId);
+      }
+    });
+  });
+  return candidateIds;
+}
+
+function collectShelvedBranchIds() {
+  const candidateIds = collectCandidateIds();
+  return collectBranchIds(
+    (node) => getNodeStatus(node).dimsBranch || candidateIds.has(node.id)
+  );
+}
+
+function collectUncountedBranchIds() {
+  const candidateIds = collectCandidateIds();
+  return collectBranchIds(
+    (node) =>
+      !getNodeStatus(node).countsTowardTotals || candidateIds.has(node.id)
+  );
+}
+
+function getSearchText(node) {
+  const assigneeNames = node.assignees
+    .map((personId) => state.people.find((person) => person.id === personId))
+    .filter(Boolean)
+    .map((person) => person.name);
+  return [
+    node.name,
+    node.description,
+    getNodeStatus(node).name,
+    ...assigneeNames,
+    ...node.tags,
+    ...node.attachments.map((attachment) => attachment.name),
+  ]
+    .join("\n")
+    .toLowerCase();
+}
+
+function updateSearchMatches() {
+  const query = searchState.query.trim().toLowerCase();
+  if (!query) {
+    searchState.matchIds = [];
+    searchState.index = -1;
+    return;
+  }
+  const currentId = searchState.matchIds[searchState.index];
+  searchState.matchIds = state.nodes
+    .filter((node) => getSearchText(node).includes(query))
+    .map((node) => node.id);
+  const currentIndex = searchState.matchIds.indexOf(currentId);
+  if (currentIndex !== -1) {
+    searchState.index = currentIndex;
+  } else {
+    searchState.index = searchState.matchIds.length > 0 ? 0 : -1;
+  }
+}
+
+function renderSearchStatus() {
+  const total = searchState.matchIds.length;
+  const hasQuery = Boolean(searchState.query.trim());
+  searchCount.textContent = hasQuery
+    ? total > 0
+      ? `${searchState.index + 1} / ${total}`
+      : "No matches"
+    : "";
+  searchPrevButton.disabled = total < 2;
+  searchNextButton.disabled = total < 2;
+  searchClearButton.hidden = !hasQuery;
+}
+
+function applyStatusStyle(nodeEl, node) {
+  const status = getNodeStatus(node);
+  nodeEl.style.setProperty("--node-border", status.color);
+  nodeEl.classList.toggle("node--shelved", status.dimsBranch);
+  nodeEl.classList.toggle("node--pulse", status.pulses);
 }
 
-function formatMetaLine({ time, cost, prefix = "", isStrong = false }) {
+function formatMetaLine({
+  time,
+  cost,
+  prefix = "",
+  suffix = "",
+  isStrong = false,
+  modifier = "",
+}) {
   const parts = [];
   if (time > 0) {
     parts.push(`${time}h`);
@@ -412,8 +2294,109 @@ function formatMetaLine({ time, cost, prefix = "", isStrong = false }) {
   if (parts.length === 0) {
     return "";
   }
-  const className = isStrong ? "node__meta-line node__meta-line--strong" : "node__meta-line";
-  return `<div class="${className}">${prefix}${parts.join(" and ")}</div>`;
+  const classNames = ["node__meta-line"];
+  if (isStrong) {
+    classNames.push("node__meta-line--strong");
+  }
+  if (modifier) {
+    classNames.push(`node__meta-line--${modifier}`);
+  }
+  return `<div class="${classNames.join(" ")}">${prefix}${parts.join(
+    " and "
+  )}${suffix}</div>`;
+}
+
+function formatNodeMeta(node, totals) {
+  const estimateLine = formatMetaLine({
+    time: node.estimatedTime,
+    cost: node.estimatedCost,
+    isStrong: true,
+  });
+  const totalLine = formatMetaLine({
+    time: totals.time,
+    cost: totals.cost,
+    prefix: "Total: ",
+  });
+  const startDate = parseDateInput(node.startDate);
+  const startLine = startDate
+    ? `<div class="node__meta-line">Starts ${formatShortDate(startDate)}</div>`
+    : "";
+  const dueDate = parseDateInput(node.dueDate);
+  const dueLine = dueDate
+    ? `<div class="node__meta-line">Due ${formatShortDate(dueDate)}</div>`
+    : "";
+  const effectiveLine =
+    totals.labor > 0
+      ? `<div class="node__meta-line">Effective: ${formatCurrency(
+          totals.effectiveCost
+        )}</div>`
+      : "";
+  const decisionLine =
+    node.kind === "decision"
+      ? `<div class="node__meta-line">${formatDecisionChoice(node)}</div>`
+      : "";
+  return `${decisionLine}${estimateLine}${totalLine}${effectiveLine}${formatActualLine(
+    totals
+  )}${startLine}${dueLine}`;
+}
+
+function formatDecisionChoice(decision) {
+  const chosen = getDecisionOptions(decision).find(
+    (option) => option.id === decision.chosenOptionId
+  );
+  return chosen ? `Chose ${escapeHtml(chosen.name)}` : "Undecided";
+}
+
+function getDecisionOptions(decision) {
+  const { nodesById, childrenMap } = buildGraph(
+    (link) => getLinkType(link).rollsUp
+  );
+  return (childrenMap.get(decision.id) || [])
+    .map((childId) => nodesById.get(childId))
+    .filter(Boolean);
+}
+
+function formatActualLine(totals) {
+  const costVariance =
+    totals.actualCost > 0 ? totals.actualCost - totals.cost : 0;
+  const timeVariance =
+    totals.actualTime > 0 ? totals.actualTime - totals.time : 0;
+  const variance = [];
+  if (costVariance !== 0) {
+    variance.push(
+      `${costVariance > 0 ? "+" : "−"}${formatCurrency(Math.abs(costVariance))}`
+    );
+  }
+  if (timeVariance !== 0) {
+    variance.push(
+      `${timeVariance > 0 ? "+" : "−"}${roundHours(Math.abs(timeVariance))}h`
+    );
+  }
+  let modifier = "";
+  if (costVariance > 0 || timeVariance > 0) {
+    modifier = "over";
+  } else if (costVariance < 0 || timeVariance < 0) {
+    modifier = "under";
+  }
+  return formatMetaLine({
+    time: roundHours(totals.actualTime),
+    cost: totals.actualCost,
+    prefix: "Actual: ",
+    suffix: variance.length > 0 ? ` (${variance.join(", ")})` : "",
+    modifier,
+  });
+}
+
+function roundHours(hours) {
+  return Math.round(hours * 10) / 10;
+}
+
+function formatVariance(actual, estimate, formatValue) {
+  const difference = actual - estimate;
+  if (Math.abs(difference) < SCHEDULE_EPSILON) {
+    return "on estimate";
+  }
+  return `${formatValue(Math.abs(difference))} ${difference > 0 ? "over" : "under"}`;
 }
 
 function fitNodeText(nodeEl, radius) {
@@ -446,11 +2429,32 @@ function fitNodeText(nodeEl, radius) {
 }
 
 function render() {
-  mapContent.innerHTML = "";
-  linksLayer.innerHTML = "";
+  const schedule = computeSchedule();
+  if (viewMode === "timeline") {
+    renderTimeline(schedule);
+  } else if (viewMode === "calendar") {
+    renderCalendar();
+  } else if (viewMode === "report") {
+    renderReport();
+  } else if (viewMode === "compare") {
+    renderCompare();
+  } else {
+    renderMap(schedule);
+  }
+  renderLoadProblem();
+  updateForm();
+  renderBulkEdit();
+  updateConnections();
+  renderPeople();
+  renderStatuses();
+  renderSchedule(schedule);
+  renderActuals();
+  renderAttachments();
+  renderCosts();
+  renderDecision();
+}
 
-  const totalsById = computeTotals();
-  const shelvedBranchIds = collectShelvedBranchIds();
+function computeNodeSizes(totalsById) {
   const { childrenMap, incomingMap } = buildGraph();
   const nodeSizes = new Map();
   const rootId = getRootId(incomingMap);
@@ -464,8 +2468,7 @@ function render() {
   }
 
   const estimateFor = (nodeId) => {
-    const totals = totalsById.get(nodeId) || { cost: 0, time: 0 };
-    return totals.cost + totals.time * ESTIMATED_RATE;
+    return (totalsById.get(nodeId) || emptyTotals()).effectiveCost;
   };
 
   const applySiblingSizing = (parentId, childIds) => {
@@ -530,34 +2533,71 @@ function render() {
     }
   });
 
-  const positions = computeLayout(nodeSizes);
+  return nodeSizes;
+}
+
+function renderMap(schedule) {
+  hideNodePreview();
+  mapContent.innerHTML = "";
+  linksLayer.innerHTML = "";
+
+  const totalsById = computeTotals();
+  const shelvedBranchIds = collectShelvedBranchIds();
+  const candidateIds = collectCandidateIds();
+  const showCriticalPath = state.settings.showCriticalPath;
+  layoutSelect.value = state.settings.layout;
+  resetPositionsButton.disabled = !state.nodes.some(
+    (node) => node.positionLocked
+  );
+  updateSearchMatches();
+  renderSearchStatus();
+  const isSearching = Boolean(searchState.query.trim());
+  const searchMatchIds = new Set(searchState.matchIds);
+  const currentMatchId = searchState.matchIds[searchState.index];
+  const isDimmed = (nodeId) =>
+    shelvedBranchIds.has(nodeId) ||
+    (isSearching && !searchMatchIds.has(nodeId));
+  const hiddenIds = collectHiddenIds();
+  const { childrenMap } = buildGraph();
+  const selectedIds = getSelectedIds();
+  const nodeSizes = computeNodeSizes(totalsById);
+  const positions = computeLayout(nodeSizes, hiddenIds);
   const nodeElements = new Map();
   const linkElements = [];
 
   state.nodes.forEach((node) => {
-    const totals = totalsById.get(node.id) || { cost: 0, time: 0 };
+    if (hiddenIds.has(node.id)) {
+      return;
+    }
+    const totals = totalsById.get(node.id) || emptyTotals();
     const position = positions.get(node.id) || { x: 0, y: 0 };
     const { width, height, radius } = nodeSizes.get(node.id);
 
     const nodeEl = document.createElement("div");
     nodeEl.className = "node";
-    if (node.status === "Shelved") {
-      nodeEl.classList.add("node--shelved");
+    applyStatusStyle(nodeEl, node);
+    nodeEl.classList.toggle("node--decision", node.kind === "decision");
+    if (isDimmed(node.id)) {
+      nodeEl.classList.add("node--dimmed");
     }
-    const statusClass = STATUS_CLASS_MAP.get(node.status);
-    if (statusClass) {
-      nodeEl.classList.add(statusClass);
+    if (candidateIds.has(node.id)) {
+      nodeEl.classList.add("node--candidate");
     }
-    if (shelvedBranchIds.has(node.id)) {
-      nodeEl.classList.add("node--dimmed");
+    if (searchMatchIds.has(node.id)) {
+      nodeEl.classList.add("node--match");
     }
-    const assigneeClass = ASSIGNEE_CLASS_MAP.get(node.assignedTo);
-    if (assigneeClass) {
-      nodeEl.classList.add(assigneeClass);
+    if (node.id === currentMatchId) {
+      nodeEl.classList.add("node--match-current");
     }
-    if (node.id === selectedNodeId) {
+    applyAssigneeStyle(nodeEl, node);
+    if (showCriticalPath && schedule.entries.get(node.id)?.isCritical) {
+      nodeEl.classList.add("node--critical");
+    }
+    if (selectedIds.has(node.id)) {
       nodeEl.classList.add("node--selected");
     }
+    nodeEl.tabIndex = node.id === selectedNodeId ? 0 : -1;
+    nodeEl.setAttribute("aria-label", node.name);
     nodeEl.style.width = `${width}px`;
     nodeEl.style.height = `${height}px`;
     nodeEl.style.left = `${position.x}px`;
@@ -565,74 +2605,96 @@ function render() {
     nodeEl.style.transform = "translate(-50%, -50%)";
     nodeEl.dataset.nodeId = node.id;
 
-    const totalCost = totals.cost;
-    const totalTime = totals.time;
-    const estimateLine = formatMetaLine({
-      time: node.estimatedTime,
-      cost: node.estimatedCost,
-      isStrong: true,
-    });
-    const totalLine = formatMetaLine({
-      time: totalTime,
-      cost: totalCost,
-      prefix: "Total: ",
-    });
-
     nodeEl.innerHTML = `
       <div class="node__content">
-        <div class="node__title">${node.name}</div>
+        <div class="node__title">${escapeHtml(node.name)}</div>
         <div class="node__meta">
-          ${estimateLine}
-          ${totalLine}
+          ${formatNodeMeta(node, totals)}
         </div>
       </div>
     `;
+    const childIds = childrenMap.get(node.id) || [];
+    if (childIds.length > 0) {
+      appendCollapseToggle(nodeEl, node, childrenMap, hiddenIds, totals);
+    }
+    appendDueBadge(nodeEl, node);
+    if (node.attachments.length > 0) {
+      const clip = document.createElement("span");
+      clip.className = "node__attachments";
+      clip.textContent = `📎 ${node.attachments.length}`;
+      clip.title = node.attachments
+        .map((attachment) => attachment.name)
+        .join("\n");
+      nodeEl.appendChild(clip);
+    }
+
+    nodeEl.addEventListener("pointerenter", (event) => {
+      if (event.pointerType !== "mouse" || isNodeDragging || isDragging) {
+        return;
+      }
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(
+        () => showNodePreview(nodeEl, node),
+        PREVIEW_DELAY
+      );
+    });
+    nodeEl.addEventListener("pointerleave", hideNodePreview);
 
-    nodeEl.addEventListener("mousedown", (event) => {
+    nodeEl.addEventListener("pointerdown", (event) => {
+      hideNodePreview();
       if (event.button !== 0) {
         return;
       }
-      event.stopPropagation();
-      setTextSelectionDisabled(true);
-      selectedNodeId = node.id;
-      updateForm();
-      updateConnections();
-      isNodeDragging = true;
-      draggedNodeId = node.id;
-      didDragNode = false;
-      const rect = mapViewport.getBoundingClientRect();
-      const mapX = (event.clientX - rect.left - viewState.x) / viewState.scale;
-      const mapY = (event.clientY - rect.top - viewState.y) / viewState.scale;
-      dragOffset = {
-        x: position.x - mapX,
-        y: position.y - mapY,
-      };
-      const { childrenMap, nodesById } = buildGraph();
-      draggedSubtreeIds = collectDescendants(node.id, childrenMap);
-      dragStartPositions = new Map();
-      draggedSubtreeIds.forEach((nodeId) => {
-        const cachedPosition = layoutCache.positions.get(nodeId);
-        const fallbackPosition = nodesById.get(nodeId)?.position;
-        const startPosition = cachedPosition || fallbackPosition;
-        if (startPosition) {
-          dragStartPositions.set(nodeId, { ...startPosition });
+      if (event.pointerType === "mouse") {
+        event.stopPropagation();
+        didPanMap = false;
+        if (!event.shiftKey && !getSelectedIds().has(node.id)) {
+          selectedNodeId = node.id;
+          selectedNodeIds = new Set();
+          updateForm();
+          updateConnections();
         }
-      });
-      if (!dragStartPositions.has(node.id)) {
-        dragStartPositions.set(node.id, { ...position });
+        startNodeDrag(node.id, position, event.clientX, event.clientY);
+        return;
       }
+      cancelLongPress();
+      longPressTimer = setTimeout(() => {
+        longPressTimer = null;
+        const point = activePointers.get(event.pointerId);
+        if (!point || activePointers.size !== 1) {
+          return;
+        }
+        isDragging = false;
+        viewState = { ...dragOrigin };
+        applyTransform();
+        mapViewport.classList.remove("is-dragging");
+        if (!getSelectedIds().has(node.id)) {
+          selectedNodeId = node.id;
+          selectedNodeIds = new Set();
+          updateForm();
+          updateConnections();
+        }
+        nodeEl.classList.add("node--lifted");
+        startNodeDrag(node.id, position, point.x, point.y);
+      }, LONG_PRESS_DELAY);
     });
 
     nodeEl.addEventListener("click", (event) => {
-      if (didDragNode) {
+      if (didDragNode || didPanMap) {
         event.stopPropagation();
         return;
       }
       event.stopPropagation();
-      selectedNodeId = node.id;
+      if (event.shiftKey) {
+        toggleNodeSelection(node.id);
+      } else {
+        selectedNodeId = node.id;
+        selectedNodeIds = new Set();
+      }
       setSidebarCollapsed(false);
       updateForm();
       render();
+      focusSelectedNode();
     });
 
     mapContent.appendChild(nodeEl);
@@ -650,272 +2712,3878 @@ function render() {
       "http://www.w3.org/2000/svg",
       "path"
     );
-    const x1 = fromNode.position.x;
-    const y1 = fromNode.position.y;
-    const x2 = toNode.position.x;
-    const y2 = toNode.position.y;
-    const path = buildLinkPath(x1, y1, x2, y2);
-
-    line.setAttribute("d", path);
-    line.setAttribute("stroke", "#9aa3b2");
-    line.setAttribute("stroke-width", "2");
+    line.dataset.linkId = link.id;
+    const geometry = buildLinkGeometry(
+      fromNode.position.x,
+      fromNode.position.y,
+      toNode.position.x,
+      toNode.position.y
+    );
+    const stroke = getLinkStroke(link, false);
+
+    line.setAttribute("d", geometry.path);
+    line.setAttribute("stroke", stroke.color);
+    line.setAttribute("stroke-width", stroke.width);
     line.setAttribute("fill", "none");
-    if (shelvedBranchIds.has(link.from) || shelvedBranchIds.has(link.to)) {
+    if (stroke.dash) {
+      line.setAttribute("stroke-dasharray", stroke.dash);
+    }
+    if (isDimmed(link.from) || isDimmed(link.to)) {
       line.classList.add("link--dimmed");
     }
+    if (showCriticalPath && schedule.criticalLinkIds.has(link.id)) {
+      line.classList.add("link--critical");
+    }
     linksLayer.appendChild(line);
 
-    const arrow = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "circle"
-    );
-    arrow.setAttribute("cx", x2);
-    arrow.setAttribute("cy", y2);
-    arrow.setAttribute("r", "4");
-    arrow.setAttribute("fill", "#4b8cff");
-    if (shelvedBranchIds.has(link.from) || shelvedBranchIds.has(link.to)) {
-      arrow.classList.add("link--dimmed");
+    const marker = createLinkMarker(link);
+    placeLinkMarker(marker, geometry);
+    if (isDimmed(link.from) || isDimmed(link.to)) {
+      marker.classList.add("link--dimmed");
     }
-    linksLayer.appendChild(arrow);
+    linksLayer.appendChild(marker);
 
     linkElements.push({
       from: link.from,
       to: link.to,
       path: line,
-      arrow,
+      marker,
     });
   });
 
-  updateForm();
-  updateConnections();
   updateLinksBounds();
-  startLayoutAnimation(nodeSizes, nodeElements, linkElements);
+  startLayoutAnimation(nodeSizes, nodeElements, linkElements, hiddenIds);
 }
 
-function updateLinksBounds() {
-  const rect = mapViewport.getBoundingClientRect();
-  linksLayer.setAttribute("width", rect.width);
-  linksLayer.setAttribute("height", rect.height);
+function getDueState(node) {
+  const dueDate = parseDateInput(node.dueDate);
+  const status = getNodeStatus(node);
+  if (!dueDate || status.isDone || status.dimsBranch) {
+    return null;
+  }
+  const daysLeft = daysBetween(startOfToday(), dueDate);
+  if (daysLeft < 0) {
+    return "overdue";
+  }
+  return daysLeft <= DUE_SOON_DAYS ? "upcoming" : null;
 }
 
-function syncFormToState({ shouldRender = false } = {}) {
-  const selected = state.nodes.find((node) => node.id === selectedNodeId);
-  if (!selected) {
+function appendDueBadge(nodeEl, node) {
+  const dueState = getDueState(node);
+  if (!dueState) {
     return;
   }
+  const badge = document.createElement("span");
+  badge.className = `node__due node__due--${dueState}`;
+  badge.textContent = `${
+    dueState === "overdue" ? "Overdue" : "Due"
+  } ${formatShortDate(parseDateInput(node.dueDate))}`;
+  nodeEl.appendChild(badge);
+}
 
-  const formData = new FormData(nodeForm);
-  selected.name = formData.get("name").toString();
-  selected.description = formData.get("description").toString();
-  selected.estimatedCost = Number(formData.get("estimatedCost")) || 0;
-  selected.estimatedTime = Number(formData.get("estimatedTime")) || 0;
-  selected.status = formData.get("status").toString();
-  selected.assignedTo = formData.get("assignedTo").toString();
+function appendCollapseToggle(nodeEl, node, childrenMap, hiddenIds, totals) {
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "node__toggle";
+  toggle.textContent = node.collapsed ? "+" : "−";
+  toggle.title = node.collapsed ? "Expand branch" : "Collapse branch";
+  toggle.setAttribute("aria-expanded", String(!node.collapsed));
+  toggle.addEventListener("pointerdown", (event) => event.stopPropagation());
+  toggle.addEventListener("click", (event) => {
+    event.stopPropagation();
+    toggleCollapsed(node.id);
+  });
+  nodeEl.appendChild(toggle);
 
-  saveState();
+  if (!node.collapsed) {
+    return;
+  }
+  const hiddenCount = Array.from(
+    collectDescendants(node.id, childrenMap)
+  ).filter((nodeId) => hiddenIds.has(nodeId)).length;
+  const badge = document.createElement("div");
+  badge.className = "node__badge";
+  badge.textContent = `+${hiddenCount} · ${roundHours(
+    totals.time
+  )}h · ${formatCurrency(totals.cost)}`;
+  badge.title = `${hiddenCount} hidden item${
+    hiddenCount === 1 ? "" : "s"
+  }; branch total shown`;
+  nodeEl.classList.add("node--collapsed");
+  nodeEl.appendChild(badge);
+}
 
-  if (shouldRender) {
+function renderTimeline(schedule) {
+  timelineContent.innerHTML = "";
+  const shelvedBranchIds = collectShelvedBranchIds();
+  const nodesById = new Map(state.nodes.map((node) => [node.id, node]));
+  const rowIds = schedule.order.filter((nodeId) => !shelvedBranchIds.has(nodeId));
+
+  if (rowIds.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "timeline__empty";
+    empty.textContent = "Nothing to schedule yet.";
+    timelineContent.appendChild(empty);
+    return;
+  }
+
+  const totalDays = Math.ceil(schedule.projectFinish) + TIMELINE_PADDING_DAYS;
+  timelineContent.style.setProperty(
+    "--timeline-track-width",
+    `${totalDays * TIMELINE_DAY_WIDTH}px`
+  );
+  timelineContent.style.setProperty("--timeline-day-width", `${TIMELINE_DAY_WIDTH}px`);
+
+  const header = document.createElement("div");
+  header.className = "timeline__row timeline__row--header";
+  const headerLabel = document.createElement("div");
+  headerLabel.className = "timeline__label";
+  headerLabel.textContent = "Item";
+  const headerTrack = document.createElement("div");
+  headerTrack.className = "timeline__track";
+  for (let day = 0; day < totalDays; day += 7) {
+    const tick = document.createElement("span");
+    tick.className = "timeline__tick";
+    tick.style.left = `${day * TIMELINE_DAY_WIDTH}px`;
+    tick.textContent = addDays(schedule.projectStart, day).toLocaleDateString(
+      undefined,
+      { month: "short", day: "numeric" }
+    );
+    headerTrack.appendChild(tick);
+  }
+  header.append(headerLabel, headerTrack);
+  timelineContent.appendChild(header);
+
+  rowIds.forEach((nodeId) => {
+    const node = nodesById.get(nodeId);
+    const entry = schedule.entries.get(nodeId);
+    const row = document.createElement("div");
+    row.className = "timeline__row";
+    if (nodeId === selectedNodeId) {
+      row.classList.add("timeline__row--selected");
+    }
+
+    const label = document.createElement("button");
+    label.type = "button";
+    label.className = "timeline__label";
+    label.textContent = node.name;
+    label.addEventListener("click", () => selectNodeFromTimeline(nodeId));
+
+    const track = document.createElement("div");
+    track.className = "timeline__track";
+    const bar = document.createElement("div");
+    bar.className = "timeline__bar";
+    bar.style.left = `${entry.start * TIMELINE_DAY_WIDTH}px`;
+    bar.style.width = `${Math.max(entry.duration * TIMELINE_DAY_WIDTH, 6)}px`;
+    bar.style.setProperty("--bar-color", getNodeStatus(node).color);
+    const firstAssignee = state.people.find((person) =>
+      node.assignees.includes(person.id)
+    );
+    if (firstAssignee) {
+      bar.style.setProperty("--bar-accent", firstAssignee.color);
+    }
+    if (node.startDate) {
+      bar.classList.add("timeline__bar--pinned");
+    }
+    if (state.settings.showCriticalPath && entry.isCritical) {
+      bar.classList.add("timeline__bar--critical");
+    }
+    bar.title = `${node.name}: ${formatShortDate(
+      scheduleDate(schedule, entry.start)
+    )} – ${formatShortDate(
+      scheduleDate(schedule, entry.finish, { isFinish: true })
+    )}`;
+    bar.addEventListener("pointerdown", (event) =>
+      startTimelineBarDrag(event, node, entry, schedule)
+    );
+
+    track.appendChild(bar);
+    row.append(label, track);
+    timelineContent.appendChild(row);
+  });
+}
+
+function matchesCalendarPerson(node) {
+  if (calendarState.personId === "all") {
+    return true;
+  }
+  if (calendarState.personId === "none") {
+    return node.assignees.length === 0;
+  }
+  return node.assignees.includes(calendarState.personId);
+}
+
+function renderCalendarPersonOptions() {
+  calendarPersonSelect.innerHTML = "";
+  [
+    ["all", "Everyone"],
+    ["none", "Unassigned"],
+    ...state.people.map((person) => [person.id, person.name]),
+  ].forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    calendarPersonSelect.appendChild(option);
+  });
+  if (
+    !["all", "none"].includes(calendarState.personId) &&
+    !state.people.some((person) => person.id === calendarState.personId)
+  ) {
+    calendarState.personId = "all";
+  }
+  calendarPersonSelect.value = calendarState.personId;
+}
+
+function shiftCalendarMonth(offset) {
+  const month = calendarState.month || startOfToday();
+  calendarState.month = new Date(
+    month.getFullYear(),
+    month.getMonth() + offset,
+    1
+  );
+  renderCalendar();
+}
+
+function renderCalendar() {
+  if (!calendarState.month) {
+    const today = startOfToday();
+    calendarState.month = new Date(today.getFullYear(), today.getMonth(), 1);
+  }
+  const { month } = calendarState;
+  renderCalendarPersonOptions();
+  calendarTitle.textContent = month.toLocaleDateString(undefined, {
+    month: "long",
+    year: "numeric",
+  });
+  exportIcsButton.disabled = !state.nodes.some(
+    (node) => (node.startDate || node.dueDate) && matchesCalendarPerson(node)
+  );
+
+  const itemsByDay = new Map();
+  state.nodes
+    .filter((node) => parseDateInput(node.dueDate))
+    .filter(matchesCalendarPerson)
+    .forEach((node) => {
+      if (!itemsByDay.has(node.dueDate)) {
+        itemsByDay.set(node.dueDate, []);
+      }
+      itemsByDay.get(node.dueDate).push(node);
+    });
+
+  calendarGrid.innerHTML = "";
+  WEEKDAY_NAMES.forEach((name) => {
+    const heading = document.createElement("div");
+    heading.className = "calendar__weekday";
+    heading.textContent = name;
+    calendarGrid.appendChild(heading);
+  });
+
+  const todayKey = formatDateInput(startOfToday());
+  const daysInMonth = new Date(
+    month.getFullYear(),
+    month.getMonth() + 1,
+    0
+  ).getDate();
+  const cellCount = Math.ceil((month.getDay() + daysInMonth) / 7) * 7;
+  for (let index = 0; index < cellCount; index += 1) {
+    const day = new Date(
+      month.getFullYear(),
+      month.getMonth(),
+      1 - month.getDay() + index
+    );
+    const key = formatDateInput(day);
+    const cell = document.createElement("div");
+    cell.className = "calendar__day";
+    cell.classList.toggle(
+      "calendar__day--outside",
+      day.getMonth() !== month.getMonth()
+    );
+    cell.classList.toggle("calendar__day--today", key === todayKey);
+    const number = document.createElement("span");
+    number.className = "calendar__date";
+    number.textContent = day.getDate();
+    cell.appendChild(number);
+
+    (itemsByDay.get(key) || []).forEach((node) => {
+      const status = getNodeStatus(node);
+      const item = document.createElement("button");
+      item.type = "button";
+      item.className = "calendar__item";
+      item.classList.toggle(
+        "calendar__item--overdue",
+        getDueState(node) === "overdue"
+      );
+      item.classList.toggle("calendar__item--done", status.isDone);
+      item.classList.toggle(
+        "calendar__item--selected",
+        node.id === selectedNodeId
+      );
+      item.style.setProperty("--status-color", status.color);
+      item.textContent = node.name;
+      item.title = `${node.name} · ${status.name}`;
+      item.addEventListener("click", () => {
+        selectedNodeId = node.id;
+        setSidebarCollapsed(false);
+        render();
+      });
+      cell.appendChild(item);
+    });
+
+    calendarGrid.appendChild(cell);
+  }
+}
+
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > 75) {
+      parts.push(current);
+      current = " ";
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+}
+
+function formatIcsDate(date) {
+  return formatDateInput(date).replace(/-/g, "");
+}
+
+function getIcsStatus(status, component) {
+  if (status.dimsBranch) {
+    return "CANCELLED";
+  }
+  if (component === "VEVENT") {
+    return "CONFIRMED";
+  }
+  if (status.isDone) {
+    return "COMPLETED";
+  }
+  return status.pulses ? "IN-PROCESS" : "NEEDS-ACTION";
+}
+
+function buildIcs(component) {
+  const stamp = new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//PlannerMap//PlannerMap//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeIcsText(getActiveMapEntry()?.name || "PlannerMap")}`,
+  ];
+
+  state.nodes.filter(matchesCalendarPerson).forEach((node) => {
+    const start = parseDateInput(node.startDate);
+    const due = parseDateInput(node.dueDate);
+    if (!start && !due) {
+      return;
+    }
+    const status = getNodeStatus(node);
+    const description = node.description
+      ? `Status: ${status.name}\n\n${node.description}`
+      : `Status: ${status.name}`;
+    lines.push(
+      `BEGIN:${component}`,
+      `UID:${node.id}@plannermap`,
+      `DTSTAMP:${stamp}`,
+      `SUMMARY:${escapeIcsText(node.name)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `STATUS:${getIcsStatus(status, component)}`
+    );
+    if (component === "VEVENT") {
+      const first = start || due;
+      const last = due && due >= first ? due : first;
+      const end = new Date(
+        last.getFullYear(),
+        last.getMonth(),
+        last.getDate() + 1
+      );
+      lines.push(
+        `DTSTART;VALUE=DATE:${formatIcsDate(first)}`,
+        `DTEND;VALUE=DATE:${formatIcsDate(end)}`
+      );
+    } else {
+      if (start && (!due || start < due)) {
+        lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(start)}`);
+      }
+      if (due) {
+        lines.push(`DUE;VALUE=DATE:${formatIcsDate(due)}`);
+      }
+      if (status.isDone) {
+        lines.push("PERCENT-COMPLETE:100");
+      }
+    }
+    if (node.tags.length > 0) {
+      lines.push(`CATEGORIES:${node.tags.map(escapeIcsText).join(",")}`);
+    }
+    lines.push(`END:${component}`);
+  });
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
+
+function exportIcs() {
+  const person = state.people.find(
+    (item) => item.id === calendarState.personId
+  );
+  const suffix = person
+    ? `-${toFileSlug(person.name)}`
+    : calendarState.personId === "none"
+    ? "-unassigned"
+    : "";
+  downloadFile(
+    `${toFileSlug(getActiveMapEntry()?.name)}${suffix}.ics`,
+    buildIcs(icsKindSelect.value),
+    "text/calendar"
+  );
+}
+
+function collectTreeRows() {
+  const { childrenMap, incomingMap } = buildGraph(
+    (link) => getLinkType(link).rollsUp
+  );
+  const rows = [];
+  const visited = new Set();
+
+  const visit = (nodeId, depth) => {
+    if (visited.has(nodeId)) {
+      return;
+    }
+    visited.add(nodeId);
+    rows.push({ nodeId, depth });
+    (childrenMap.get(nodeId) || []).forEach((childId) =>
+      visit(childId, depth + 1)
+    );
+  };
+
+  state.nodes
+    .filter((node) => !(incomingMap.get(node.id) || []).length)
+    .forEach((node) => visit(node.id, 0));
+  state.nodes.forEach((node) => visit(node.id, 0));
+  return rows;
+}
+
+function buildReport() {
+  const totalsById = computeTotals();
+  const uncountedBranchIds = collectUncountedBranchIds();
+  const nodesById = new Map(state.nodes.map((node) => [node.id, node]));
+  const grandTotal = { cost: 0, time: 0 };
+  const excludedTotal = { cost: 0, time: 0 };
+
+  const rows = collectTreeRows().map(({ nodeId, depth }) => {
+    const node = nodesById.get(nodeId);
+    const isCounted = !uncountedBranchIds.has(nodeId);
+    const bucket = isCounted ? grandTotal : excludedTotal;
+    bucket.cost += node.estimatedCost;
+    bucket.time += node.estimatedTime;
+    const assigneeNames = node.assignees
+      .map((personId) => state.people.find((person) => person.id === personId))
+      .filter(Boolean)
+      .map((person) => person.name);
+    return {
+      node,
+      depth,
+      isCounted,
+      status: getNodeStatus(node).name,
+      assignees: assigneeNames.join(", ") || "Unassigned",
+      subtotal: isCounted ? totalsById.get(nodeId) : null,
+    };
+  });
+
+  return { rows, grandTotal, excludedTotal };
+}
+
+function renderReport() {
+  reportContent.innerHTML = "";
+  const { rows, grandTotal, excludedTotal } = buildReport();
+
+  const heading = document.createElement("h2");
+  heading.className = "report__title";
+  heading.textContent = `${getActiveMapEntry()?.name || "Planner map"} budget`;
+  const subtitle = document.createElement("p");
+  subtitle.className = "report__subtitle";
+  subtitle.textContent = `Prepared ${new Date().toLocaleDateString()}`;
+  reportContent.append(heading, subtitle);
+
+  if (rows.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "report__empty";
+    empty.textContent = "Add nodes to build a report.";
+    reportContent.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.className = "report__table";
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Item</th>
+        <th>Status</th>
+        <th>Assigned to</th>
+        <th class="report__number">Own cost</th>
+        <th class="report__number">Own hours</th>
+        <th class="report__number">Subtree cost</th>
+        <th class="report__number">Subtree hours</th>
+      </tr>
+    </thead>
+  `;
+  const body = document.createElement("tbody");
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    tr.className = "report__row";
+    tr.classList.toggle("report__row--excluded", !row.isCounted);
+    tr.classList.toggle(
+      "report__row--selected",
+      row.node.id === selectedNodeId
+    );
+    const cells = [
+      row.node.name,
+      row.status,
+      row.assignees,
+      formatCurrency(row.node.estimatedCost),
+      `${roundHours(row.node.estimatedTime)}h`,
+      row.subtotal ? formatCurrency(row.subtotal.cost) : "Excluded",
+      row.subtotal ? `${roundHours(row.subtotal.time)}h` : "—",
+    ];
+    cells.forEach((value, index) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      if (index === 0) {
+        td.className = "report__name";
+        td.style.paddingLeft = `${12 + row.depth * 20}px`;
+      } else if (index >= 3) {
+        td.className = "report__number";
+      }
+      tr.appendChild(td);
+    });
+    tr.addEventListener("click", () => {
+      selectedNodeId = row.node.id;
+      setSidebarCollapsed(false);
+      render();
+    });
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+
+  const foot = document.createElement("tfoot");
+  foot.innerHTML = `
+    <tr class="report__total">
+      <td colspan="5">Grand total (counted items only)</td>
+      <td class="report__number">${formatCurrency(grandTotal.cost)}</td>
+      <td class="report__number">${roundHours(grandTotal.time)}h</td>
+    </tr>
+  `;
+  if (excludedTotal.cost > 0 || excludedTotal.time > 0) {
+    foot.insertAdjacentHTML(
+      "beforeend",
+      `
+      <tr class="report__excluded-total">
+        <td colspan="5">Not counted toward totals</td>
+        <td class="report__number">${formatCurrency(excludedTotal.cost)}</td>
+        <td class="report__number">${roundHours(excludedTotal.time)}h</td>
+      </tr>
+    `
+    );
+  }
+  table.appendChild(foot);
+  reportContent.appendChild(table);
+}
+
+function toCsvField(value) {
+  const text =
+    typeof value === "string" && /^\s*[=+\-@\t\r]/.test(value)
+      ? `'${value}`
+      : String(value);
+  return /[",\n\r]|^\s|\s$/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+function exportReportCsv() {
+  const { rows, grandTotal, excludedTotal } = buildReport();
+  const lines = [
+    [
+      "Level",
+      "Item",
+      "Status",
+      "Assigned To",
+      "Own Cost",
+      "Own Hours",
+      "Subtree Cost",
+      "Subtree Hours",
+      "Counted",
+    ],
+    ...rows.map((row) => [
+      row.depth,
+      `${"  ".repeat(row.depth)}${row.node.name}`,
+      row.status,
+      row.assignees,
+      row.node.estimatedCost,
+      row.node.estimatedTime,
+      row.subtotal ? row.subtotal.cost : "",
+      row.subtotal ? row.subtotal.time : "",
+      row.isCounted ? "Yes" : "No",
+    ]),
+    ["", "Grand total", "", "", "", "", grandTotal.cost, grandTotal.time, "Yes"],
+    [
+      "",
+      "Not counted",
+      "",
+      "",
+      "",
+      "",
+      excludedTotal.cost,
+      excludedTotal.time,
+      "No",
+    ],
+  ];
+  downloadFile(
+    `${toFileSlug(getActiveMapEntry()?.name)}-budget.csv`,
+    lines.map((line) => line.map(toCsvField).join(",")).join("\r\n"),
+    "text/csv"
+  );
+}
+
+function summarizeMap(map) {
+  const { incomingMap } = buildGraph(shapesLayout, map);
+  return {
+    totalsById: computeTotals(map),
+    rootIds: map.nodes
+      .filter((node) => !(incomingMap.get(node.id) || []).length)
+      .map((node) => node.id),
+  };
+}
+
+function describeNodeField(map, node, field) {
+  switch (field) {
+    case "statusId":
+      return (
+        map.statuses.find((status) => status.id === node.statusId)?.name ||
+        "None"
+      );
+    case "estimatedCost":
+      return formatCurrency(node.estimatedCost);
+    case "estimatedTime":
+      return `${roundHours(node.estimatedTime)}h`;
+    case "assignees":
+      return (
+        node.assignees
+          .map(
+            (personId) =>
+              map.people.find((person) => person.id === personId)?.name
+          )
+          .filter(Boolean)
+          .join(", ") || "Unassigned"
+      );
+    case "tags":
+      return node.tags.join(", ") || "None";
+    case "kind":
+      return node.kind === "decision" ? "Decision" : "Task";
+    case "chosenOptionId":
+      return (
+        map.nodes.find((item) => item.id === node.chosenOptionId)?.name ||
+        "Undecided"
+      );
+    default:
+      return node[field] ? String(node[field]) : "—";
+  }
+}
+
+function describeMapLink(map, link) {
+  const nameOf = (nodeId) =>
+    map.nodes.find((node) => node.id === nodeId)?.name || "Unknown";
+  return `${nameOf(link.from)} → ${nameOf(link.to)} (${
+    getLinkType(link).name
+  })`;
+}
+
+function diffMaps(base, other) {
+  const changes = [];
+  const baseNodes = new Map(base.nodes.map((node) => [node.id, node]));
+  const otherNodes = new Map(other.nodes.map((node) => [node.id, node]));
+
+  base.nodes.forEach((node) => {
+    const match = otherNodes.get(node.id);
+    if (!match) {
+      changes.push({ type: "removed", name: node.name, details: [] });
+      return;
+    }
+    const details = COMPARE_FIELDS.map(([field, label]) => {
+      const before = describeNodeField(base, node, field);
+      const after = describeNodeField(other, match, field);
+      return before === after ? null : `${label}: ${before} → ${after}`;
+    }).filter(Boolean);
+    if (details.length > 0) {
+      changes.push({ type: "changed", name: match.name, details });
+    }
+  });
+  other.nodes.forEach((node) => {
+    if (!baseNodes.has(node.id)) {
+      changes.push({ type: "added", name: node.name, details: [] });
+    }
+  });
+
+  const linkKey = (link) => `${link.from}->${link.to}:${link.type}`;
+  const baseLinks = new Set(base.links.map(linkKey));
+  const otherLinks = new Set(other.links.map(linkKey));
+  base.links.forEach((link) => {
+    if (!otherLinks.has(linkKey(link))) {
+      changes.push({
+        type: "unlinked",
+        name: describeMapLink(base, link),
+        details: [],
+      });
+    }
+  });
+  other.links.forEach((link) => {
+    if (!baseLinks.has(linkKey(link))) {
+      changes.push({
+        type: "linked",
+        name: describeMapLink(other, link),
+        details: [],
+      });
+    }
+  });
+  return changes;
+}
+
+function getScenarioName(scenarioId) {
+  if (scenarioId === "main") {
+    return "Main plan";
+  }
+  const scenario = getScenario(scenarioId);
+  return scenario.kind === "snapshot"
+    ? `${scenario.name} (snapshot)`
+    : scenario.name;
+}
+
+function fillCompareOptions(select, value) {
+  select.innerHTML = "";
+  ["main", ...scenarioIndex.scenarios.map((scenario) => scenario.id)].forEach(
+    (scenarioId) => {
+      const option = document.createElement("option");
+      option.value = scenarioId;
+      option.textContent = getScenarioName(scenarioId);
+      select.appendChild(option);
+    }
+  );
+  select.value = value;
+}
+
+function formatDelta(value, formatValue) {
+  if (Math.abs(value) < 0.005) {
+    return "—";
+  }
+  return `${value > 0 ? "+" : "−"}${formatValue(Math.abs(value))}`;
+}
+
+function renderCompare() {
+  compareContent.innerHTML = "";
+  const scenarioIds = [
+    "main",
+    ...scenarioIndex.scenarios.map((scenario) => scenario.id),
+  ];
+  if (!scenarioIds.includes(compareState.baseId)) {
+    compareState.baseId = "main";
+  }
+  if (!scenarioIds.includes(compareState.otherId)) {
+    compareState.otherId =
+      scenarioIndex.activeScenarioId || scenarioIds[1] || "main";
+  }
+  fillCompareOptions(compareBaseSelect, compareState.baseId);
+  fillCompareOptions(compareOtherSelect, compareState.otherId);
+  promoteScenarioButton.disabled = compareState.otherId === "main";
+  deleteScenarioButton.disabled = compareState.otherId === "main";
+
+  const heading = document.createElement("h2");
+  heading.className = "report__title";
+  heading.textContent = `${getScenarioName(
+    compareState.baseId
+  )} vs ${getScenarioName(compareState.otherId)}`;
+  compareContent.appendChild(heading);
+
+  const base = readScenarioMap(compareState.baseId);
+  const other = readScenarioMap(compareState.otherId);
+  if (scenarioIds.length < 2 || !base || !other) {
+    const empty = document.createElement("p");
+    empty.className = "report__empty";
+    empty.textContent =
+      scenarioIds.length < 2
+        ? "Take a snapshot or branch a scenario to compare it with the main plan."
+        : "This scenario could not be read.";
+    compareContent.appendChild(empty);
+    return;
+  }
+
+  const baseSummary = summarizeMap(base);
+  const otherSummary = summarizeMap(other);
+  const rootIds = Array.from(
+    new Set([...baseSummary.rootIds, ...otherSummary.rootIds])
+  );
+  const totalsTable = document.createElement("table");
+  totalsTable.className = "report__table";
+  totalsTable.innerHTML = `
+    <thead>
+      <tr>
+        <th>Root</th>
+        <th class="report__number">Base cost</th>
+        <th class="report__number">Base hours</th>
+        <th class="report__number">Compared cost</th>
+        <th class="report__number">Compared hours</th>
+        <th class="report__number">Δ cost</th>
+        <th class="report__number">Δ hours</th>
+      </tr>
+    </thead>
+  `;
+  const totalsBody = document.createElement("tbody");
+  rootIds.forEach((rootId) => {
+    const node =
+      other.nodes.find((item) => item.id === rootId) ||
+      base.nodes.find((item) => item.id === rootId);
+    const before = baseSummary.totalsById.get(rootId);
+    const after = otherSummary.totalsById.get(rootId);
+    const cells = [
+      node.name,
+      before ? formatCurrency(before.cost) : "—",
+      before ? `${roundHours(before.time)}h` : "—",
+      after ? formatCurrency(after.cost) : "—",
+      after ? `${roundHours(after.time)}h` : "—",
+      formatDelta((after?.cost || 0) - (before?.cost || 0), formatCurrency),
+      formatDelta(
+        (after?.time || 0) - (before?.time || 0),
+        (hours) => `${roundHours(hours)}h`
+      ),
+    ];
+    const tr = document.createElement("tr");
+    cells.forEach((value, index) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      if (index > 0) {
+        td.className = "report__number";
+      }
+      tr.appendChild(td);
+    });
+    totalsBody.appendChild(tr);
+  });
+  totalsTable.appendChild(totalsBody);
+  compareContent.appendChild(totalsTable);
+
+  const changes = diffMaps(base, other);
+  const changesHeading = document.createElement("h3");
+  changesHeading.className = "compare__heading";
+  changesHeading.textContent = `${changes.length} change${
+    changes.length === 1 ? "" : "s"
+  }`;
+  compareContent.appendChild(changesHeading);
+  if (changes.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "report__empty";
+    empty.textContent = "These plans are identical.";
+    compareContent.appendChild(empty);
+    return;
+  }
+
+  const changesTable = document.createElement("table");
+  changesTable.className = "report__table";
+  changesTable.innerHTML = `
+    <thead>
+      <tr>
+        <th>Change</th>
+        <th>Item</th>
+        <th>Details</th>
+      </tr>
+    </thead>
+  `;
+  const changesBody = document.createElement("tbody");
+  changes.forEach((change) => {
+    const tr = document.createElement("tr");
+    tr.className = `compare__change compare__change--${change.type}`;
+    [CHANGE_LABELS[change.type], change.name].forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    const details = document.createElement("td");
+    change.details.forEach((detail) => {
+      const line = document.createElement("div");
+      line.textContent = detail;
+      details.appendChild(line);
+    });
+    tr.appendChild(details);
+    changesBody.appendChild(tr);
+  });
+  changesTable.appendChild(changesBody);
+  compareContent.appendChild(changesTable);
+}
+
+function selectNodeFromTimeline(nodeId) {
+  selectedNodeId = nodeId;
+  setSidebarCollapsed(false);
+  render();
+  focusSelectedNode();
+}
+
+function startTimelineBarDrag(event, node, entry, schedule) {
+  if (event.button !== 0) {
+    return;
+  }
+  event.preventDefault();
+  const bar = event.currentTarget;
+  bar.setPointerCapture?.(event.pointerId);
+  bar.classList.add("is-dragging");
+  const originX = event.clientX;
+  let dayDelta = 0;
+  let moved = false;
+
+  const handleMove = (moveEvent) => {
+    const dx = moveEvent.clientX - originX;
+    if (Math.abs(dx) > 3) {
+      moved = true;
+    }
+    dayDelta = Math.round(dx / TIMELINE_DAY_WIDTH);
+    bar.style.transform = `translateX(${dayDelta * TIMELINE_DAY_WIDTH}px)`;
+  };
+  const handleEnd = (endEvent) => {
+    bar.removeEventListener("pointermove", handleMove);
+    bar.removeEventListener("pointerup", handleEnd);
+    bar.removeEventListener("pointercancel", handleEnd);
+    bar.classList.remove("is-dragging");
+    if (endEvent.type === "pointercancel") {
+      bar.style.transform = "";
+      return;
+    }
+    if (!moved) {
+      selectNodeFromTimeline(node.id);
+      return;
+    }
+    if (dayDelta === 0) {
+      bar.style.transform = "";
+      return;
+    }
+    const movedStart = addDays(scheduleDate(schedule, entry.start), dayDelta);
+    recordHistory("Move start date");
+    node.startDate = formatDateInput(
+      movedStart < schedule.projectStart ? schedule.projectStart : movedStart
+    );
+    selectedNodeId = node.id;
+    saveState();
+    render();
+  };
+
+  bar.addEventListener("pointermove", handleMove);
+  bar.addEventListener("pointerup", handleEnd);
+  bar.addEventListener("pointercancel", handleEnd);
+}
+
+function clearPinnedStart() {
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  if (!selected?.startDate) {
+    return;
+  }
+  recordHistory("Clear start date");
+  selected.startDate = null;
+  saveState();
+  render();
+}
+
+function setViewMode(mode) {
+  viewMode = mode;
+  mapSection.hidden = mode !== "map";
+  timelineSection.hidden = mode !== "timeline";
+  calendarSection.hidden = mode !== "calendar";
+  reportSection.hidden = mode !== "report";
+  compareSection.hidden = mode !== "compare";
+  viewButtons.forEach((button) => {
+    const isActive = button.dataset.view === mode;
+    button.classList.toggle("is-active", isActive);
+    button.setAttribute("aria-pressed", String(isActive));
+  });
+  render();
+}
+
+function updateLinksBounds() {
+  const rect = mapViewport.getBoundingClientRect();
+  linksLayer.setAttribute("width", rect.width);
+  linksLayer.setAttribute("height", rect.height);
+}
+
+function syncFormToState({ shouldRender = false, fieldName = "form" } = {}) {
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  if (!selected) {
+    return;
+  }
+
+  const formData = new FormData(nodeForm);
+  const updates = {
+    name: formData.get("name").toString(),
+    description: formData.get("description").toString(),
+    estimatedCost: Number(formData.get("estimatedCost")) || 0,
+    estimatedTime: Number(formData.get("estimatedTime")) || 0,
+    statusId: formData.get("statusId").toString(),
+    assignees: formData.getAll("assignees").map(String),
+    tags: normalizeTags(formData.get("tags").toString().split(",")),
+    kind: formData.get("kind").toString(),
+    startDate: parseDateInput(formData.get("startDate"))
+      ? formData.get("startDate").toString()
+      : null,
+    dueDate: parseDateInput(formData.get("dueDate"))
+      ? formData.get("dueDate").toString()
+      : null,
+  };
+  const hasChanges = Object.keys(updates).some(
+    (key) => JSON.stringify(selected[key]) !== JSON.stringify(updates[key])
+  );
+  if (hasChanges) {
+    recordHistory("Edit node", {
+      coalesceKey: `edit:${selected.id}:${fieldName}`,
+    });
+    Object.assign(selected, updates);
+    saveState();
+  }
+
+  if (shouldRender) {
     render();
   } else {
     updateSelectedNodeDisplay(selected);
+    renderPeople();
   }
 }
 
-function setSidebarCollapsed(isCollapsed) {
-  appContainer.classList.toggle("app--sidebar-collapsed", isCollapsed);
+function setSidebarCollapsed(isCollapsed) {
+  appContainer.classList.toggle("app--sidebar-collapsed", isCollapsed);
+}
+
+function updateForm() {
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  const formElements = nodeForm.elements;
+
+  renderStatusOptions();
+  renderAssigneeOptions(selected);
+
+  if (!selected) {
+    nodeForm.reset();
+    Array.from(formElements).forEach((element) => {
+      element.disabled = true;
+    });
+    renderDescriptionPreview(null);
+    return;
+  }
+
+  Array.from(formElements).forEach((element) => {
+    element.disabled = false;
+  });
+
+  formElements.name.value = selected.name;
+  formElements.description.value = selected.description;
+  renderDescriptionPreview(selected);
+  formElements.estimatedCost.value = selected.estimatedCost;
+  formElements.estimatedTime.value = selected.estimatedTime;
+  formElements.statusId.value = getNodeStatus(selected).id;
+  formElements.tags.value = selected.tags.join(", ");
+  formElements.kind.value = selected.kind;
+  formElements.startDate.value = selected.startDate || "";
+  formElements.dueDate.value = selected.dueDate || "";
+}
+
+function renderDescriptionPreview(node) {
+  descriptionPreview.innerHTML = node ? renderMarkdown(node.description) : "";
+  descriptionPreview.hidden = !descriptionPreview.innerHTML;
+}
+
+function toggleDescriptionTask(taskIndex) {
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  if (!selected) {
+    return;
+  }
+  recordHistory("Toggle checklist item");
+  selected.description = toggleMarkdownTask(selected.description, taskIndex);
+  saveState();
+  render();
+}
+
+function showNodePreview(nodeEl, node) {
+  const status = getNodeStatus(node);
+  nodePreview.innerHTML = `
+    <div class="node-preview__title">${escapeHtml(node.name)}</div>
+    <div class="node-preview__status">${escapeHtml(status.name)}</div>
+    <div class="markdown">${
+      renderMarkdown(node.description) ||
+      '<p class="node-preview__empty">No description</p>'
+    }</div>
+  `;
+  const mapRect = mapSection.getBoundingClientRect();
+  const nodeRect = nodeEl.getBoundingClientRect();
+  nodePreview.hidden = false;
+  const previewWidth = nodePreview.offsetWidth;
+  const fitsRight =
+    nodeRect.right + 12 + previewWidth <= mapRect.right ||
+    nodeRect.left - 12 - previewWidth < mapRect.left;
+  const left = fitsRight
+    ? nodeRect.right + 12
+    : nodeRect.left - 12 - previewWidth;
+  nodePreview.style.left = `${left - mapRect.left}px`;
+  nodePreview.style.top = `${Math.max(nodeRect.top - mapRect.top, 12)}px`;
+}
+
+function hideNodePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = null;
+  nodePreview.hidden = true;
+}
+
+function normalizeTags(values) {
+  const tags = values
+    .filter((value) => typeof value === "string")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+function renderStatusOptions() {
+  const statusSelect = nodeForm.elements.statusId;
+  statusSelect.innerHTML = "";
+  state.statuses.forEach((status) => {
+    const option = document.createElement("option");
+    option.value = status.id;
+    option.textContent = status.name;
+    statusSelect.appendChild(option);
+  });
+}
+
+function renderAssigneeOptions(selected) {
+  assigneeOptions.innerHTML = "";
+  if (state.people.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "assignees__empty";
+    empty.textContent = "Add people below to assign work.";
+    assigneeOptions.appendChild(empty);
+    return;
+  }
+  const assigned = new Set(selected?.assignees || []);
+  state.people.forEach((person) => {
+    const option = document.createElement("label");
+    option.className = "assignees__option";
+    option.style.setProperty("--person-color", person.color);
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.name = "assignees";
+    checkbox.value = person.id;
+    checkbox.checked = assigned.has(person.id);
+    option.append(checkbox, person.name);
+    assigneeOptions.appendChild(option);
+  });
+}
+
+function tintColor(color, amount) {
+  const value = Number.parseInt(color.slice(1), 16);
+  const channels = [value >> 16, (value >> 8) & 255, value & 255].map(
+    (channel) => Math.round(255 + (channel - 255) * (amount / 100))
+  );
+  return `#${channels
+    .map((channel) => channel.toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+function getAssigneeFillColors(node) {
+  return node.assignees
+    .map((personId) => state.people.find((person) => person.id === personId))
+    .filter(Boolean)
+    .map((person) => tintColor(person.color, 18));
+}
+
+function applyAssigneeStyle(nodeEl, node) {
+  const colors = getAssigneeFillColors(node);
+  if (colors.length === 0) {
+    nodeEl.style.removeProperty("--node-fill");
+  } else if (colors.length === 1) {
+    nodeEl.style.setProperty("--node-fill", colors[0]);
+  } else {
+    const step = 100 / colors.length;
+    const stops = colors.map(
+      (color, index) => `${color} ${index * step}% ${(index + 1) * step}%`
+    );
+    nodeEl.style.setProperty(
+      "--node-fill",
+      `linear-gradient(135deg, ${stops.join(", ")})`
+    );
+  }
+}
+
+function computePersonTotals() {
+  const uncountedBranchIds = collectUncountedBranchIds();
+  const totalsByPerson = new Map(
+    state.people.map((person) => [person.id, { cost: 0, time: 0 }])
+  );
+  const unassigned = { cost: 0, time: 0 };
+
+  state.nodes.forEach((node) => {
+    if (uncountedBranchIds.has(node.id)) {
+      return;
+    }
+    const assignees = node.assignees.filter((personId) =>
+      totalsByPerson.has(personId)
+    );
+    if (assignees.length === 0) {
+      unassigned.cost += node.estimatedCost;
+      unassigned.time += node.estimatedTime;
+      return;
+    }
+    const share = 1 / assignees.length;
+    assignees.forEach((personId) => {
+      const totals = totalsByPerson.get(personId);
+      totals.cost += node.estimatedCost * share;
+      totals.time += node.estimatedTime * share;
+    });
+  });
+
+  return { totalsByPerson, unassigned };
+}
+
+function formatTotalsText({ time, cost }) {
+  const roundedTime = Math.round(time * 10) / 10;
+  const roundedCost = Math.round(cost);
+  if (roundedTime === 0 && roundedCost === 0) {
+    return "Nothing assigned";
+  }
+  return `${roundedTime}h · $${roundedCost.toLocaleString()}`;
+}
+
+function renderPeople() {
+  peopleList.innerHTML = "";
+  const { totalsByPerson, unassigned } = computePersonTotals();
+
+  state.people.forEach((person) => {
+    const item = document.createElement("li");
+    item.className = "people__item";
+
+    const color = document.createElement("input");
+    color.type = "color";
+    color.value = person.color;
+    color.className = "people__color";
+    color.setAttribute("aria-label", `Color for ${person.name}`);
+    color.addEventListener("change", () => {
+      recordHistory("Change person color");
+      person.color = color.value;
+      saveState();
+      render();
+    });
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.value = person.name;
+    name.className = "people__name";
+    name.setAttribute("aria-label", "Person name");
+    name.addEventListener("input", () => {
+      recordHistory("Rename person", { coalesceKey: `person:${person.id}` });
+      person.name = name.value;
+      saveState();
+    });
+    name.addEventListener("change", () => render());
+
+    const hours = document.createElement("input");
+    hours.type = "number";
+    hours.min = "0";
+    hours.step = "1";
+    hours.value = person.hoursPerWeek;
+    hours.addEventListener("change", () => {
+      recordHistory("Change capacity");
+      person.hoursPerWeek = Math.max(0, Number(hours.value) || 0);
+      saveState();
+      render();
+    });
+    const hoursField = document.createElement("label");
+    hoursField.className = "people__field";
+    hoursField.append(hours, "h/week");
+
+    const rate = document.createElement("input");
+    rate.type = "number";
+    rate.min = "0";
+    rate.step = "1";
+    rate.value = person.hourlyRate ?? "";
+    rate.placeholder = state.settings.hourlyRate;
+    rate.addEventListener("change", () => {
+      recordHistory("Change hourly rate");
+      person.hourlyRate =
+        rate.value === "" ? null : Math.max(0, Number(rate.value) || 0);
+      saveState();
+      render();
+    });
+    const rateField = document.createElement("label");
+    rateField.className = "people__field";
+    rateField.append("$", rate, "/h");
+
+    const details = document.createElement("div");
+    details.className = "people__details";
+    details.append(hoursField, rateField);
+
+    const totals = document.createElement("span");
+    totals.className = "people__totals";
+    totals.textContent = formatTotalsText(totalsByPerson.get(person.id));
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => removePerson(person.id));
+
+    item.append(color, name, remove, details, totals);
+    peopleList.appendChild(item);
+  });
+
+  const unassignedItem = document.createElement("li");
+  unassignedItem.className = "people__item people__item--unassigned";
+  unassignedItem.textContent = "Unassigned";
+  const unassignedTotals = document.createElement("span");
+  unassignedTotals.className = "people__totals";
+  unassignedTotals.textContent = formatTotalsText(unassigned);
+  unassignedItem.appendChild(unassignedTotals);
+  peopleList.appendChild(unassignedItem);
+}
+
+function addPerson() {
+  recordHistory("Add person");
+  state.people.push({
+    id: crypto.randomUUID(),
+    name: `Person ${state.people.length + 1}`,
+    color: PERSON_COLORS[state.people.length % PERSON_COLORS.length],
+    hoursPerWeek: state.settings.defaultHoursPerWeek,
+    hourlyRate: null,
+  });
+  saveState();
+  render();
+  peopleList
+    .querySelector(".people__item:nth-last-child(2) .people__name")
+    ?.select();
+}
+
+function formatCurrency(amount) {
+  return `$${Math.round(amount).toLocaleString()}`;
+}
+
+function renderActuals() {
+  entriesList.innerHTML = "";
+  actualsSummary.innerHTML = "";
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  Array.from(entryForm.elements).forEach((element) => {
+    element.disabled = !selected;
+  });
+  if (!selected) {
+    return;
+  }
+  if (!entryForm.elements.date.value) {
+    entryForm.elements.date.value = formatDateInput(startOfToday());
+  }
+
+  const actuals = getNodeActuals(selected);
+  const totals = computeTotals().get(selected.id) || emptyTotals();
+  [
+    ["This item", actuals.cost, selected.estimatedCost, actuals.time, selected.estimatedTime],
+    ["With sub-items", totals.actualCost, totals.cost, totals.actualTime, totals.time],
+  ].forEach(([label, actualCost, estimatedCost, actualTime, estimatedTime]) => {
+    const row = document.createElement("div");
+    row.className = "actuals__row";
+    const isOver = actualCost > estimatedCost || actualTime > estimatedTime;
+    row.classList.toggle("actuals__row--over", isOver);
+    const title = document.createElement("strong");
+    title.textContent = label;
+    const costText = document.createElement("span");
+    costText.textContent = `${formatCurrency(actualCost)} of ${formatCurrency(
+      estimatedCost
+    )} · ${formatVariance(actualCost, estimatedCost, formatCurrency)}`;
+    const timeText = document.createElement("span");
+    timeText.textContent = `${roundHours(actualTime)}h of ${roundHours(
+      estimatedTime
+    )}h · ${formatVariance(actualTime, estimatedTime, (hours) => `${roundHours(hours)}h`)}`;
+    row.append(title, costText, timeText);
+    actualsSummary.appendChild(row);
+  });
+
+  if (selected.entries.length === 0) {
+    const empty = document.createElement("li");
+    empty.textContent = "No expenses or time logged yet.";
+    entriesList.appendChild(empty);
+    return;
+  }
+
+  [...selected.entries]
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .forEach((entry) => {
+      const item = document.createElement("li");
+      const text = document.createElement("span");
+      const amount =
+        entry.kind === "expense"
+          ? formatCurrency(entry.amount)
+          : `${roundHours(entry.amount)}h`;
+      text.textContent = `${formatShortDate(parseDateInput(entry.date))} · ${amount}${
+        entry.note ? ` · ${entry.note}` : ""
+      }`;
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.textContent = "Remove";
+      remove.addEventListener("click", () => {
+        recordHistory("Remove entry");
+        selected.entries = selected.entries.filter((item) => item.id !== entry.id);
+        saveState();
+        render();
+      });
+      item.append(text, remove);
+      entriesList.appendChild(item);
+    });
+}
+
+function addEntry() {
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  if (!selected) {
+    return;
+  }
+  const formData = new FormData(entryForm);
+  const kind = formData.get("kind").toString();
+  const amount = Number(formData.get("amount"));
+  const date = formData.get("date").toString();
+  if (!ENTRY_KINDS.includes(kind) || !(amount > 0) || !parseDateInput(date)) {
+    entryForm.reportValidity();
+    return;
+  }
+  recordHistory(kind === "expense" ? "Add expense" : "Log time");
+  selected.entries.push({
+    id: crypto.randomUUID(),
+    date,
+    kind,
+    amount,
+    note: formData.get("note").toString().trim(),
+  });
+  saveState();
+  entryForm.elements.amount.value = "";
+  entryForm.elements.note.value = "";
+  render();
+}
+
+function openAttachmentDb() {
+  if (!attachmentDbPromise) {
+    attachmentDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ATTACHMENT_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(ATTACHMENT_STORE, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return attachmentDbPromise;
+}
+
+async function runAttachmentRequest(mode, createRequest) {
+  const db = await openAttachmentDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(ATTACHMENT_STORE, mode);
+    const request = createRequest(transaction.objectStore(ATTACHMENT_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function saveAttachmentFile(id, blob) {
+  sessionAttachmentIds.add(id);
+  return runAttachmentRequest("readwrite", (store) => store.put({ id, blob }));
+}
+
+async function loadAttachmentFile(id) {
+  const record = await runAttachmentRequest("readonly", (store) =>
+    store.get(id)
+  );
+  return record?.blob || null;
+}
+
+async function getAttachmentUrl(id) {
+  if (!attachmentUrls.has(id)) {
+    const blob = await loadAttachmentFile(id);
+    if (!blob) {
+      return null;
+    }
+    attachmentUrls.set(id, URL.createObjectURL(blob));
+  }
+  return attachmentUrls.get(id);
+}
+
+function revokeAttachmentUrls(ids = Array.from(attachmentUrls.keys())) {
+  ids.forEach((id) => {
+    if (attachmentUrls.has(id)) {
+      URL.revokeObjectURL(attachmentUrls.get(id));
+      attachmentUrls.delete(id);
+    }
+  });
+}
+
+function addAttachmentIds(map, ids) {
+  map.nodes.forEach((node) => {
+    (node.attachments || []).forEach((attachment) => ids.add(attachment.id));
+  });
+}
+
+function collectReferencedAttachmentIds() {
+  const ids = new Set(sessionAttachmentIds);
+  addAttachmentIds(state, ids);
+  const historyKeys = [];
+  for (const { id: mapId } of mapIndex.maps) {
+    const mapKeys = [mapDataKey(mapId)];
+    historyKeys.push(mapHistoryKey(mapId));
+    let scenarios = [];
+    try {
+      scenarios =
+        JSON.parse(localStorage.getItem(mapScenariosKey(mapId)))?.scenarios ||
+        [];
+    } catch (error) {
+      return null;
+    }
+    scenarios.forEach((scenario) => {
+      mapKeys.push(mapScenarioDataKey(mapId, scenario.id));
+      historyKeys.push(`${mapHistoryKey(mapId)}:${scenario.id}`);
+    });
+    for (const key of mapKeys) {
+      if (localStorage.getItem(key) === null) {
+        continue;
+      }
+      const { map } = readStoredMap(key);
+      if (!map) {
+        return null;
+      }
+      addAttachmentIds(map, ids);
+    }
+  }
+  for (const key of historyKeys) {
+    const saved = localStorage.getItem(key);
+    if (!saved) {
+      continue;
+    }
+    try {
+      const history = JSON.parse(saved);
+      [...history.undo, ...history.redo].forEach((entry) => {
+        addAttachmentIds(
+          upgradeMap(JSON.parse(entry.snapshot), entry.version ?? 1),
+          ids
+        );
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+  return ids;
+}
+
+async function pruneAttachmentFiles() {
+  const storedIds = await runAttachmentRequest("readonly", (store) =>
+    store.getAllKeys()
+  );
+  const referencedIds = collectReferencedAttachmentIds();
+  if (!referencedIds) {
+    console.warn("Skipping attachment cleanup; some saved data is unreadable");
+    return;
+  }
+  const unused = storedIds.filter((id) => !referencedIds.has(id));
+  if (unused.length > 0) {
+    await runAttachmentRequest("readwrite", (store) => {
+      unused.forEach((id) => store.delete(id));
+      return store.count();
+    });
+  }
+}
+
+function readBlobAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function dataUrlToBlob(dataUrl) {
+  const [header, data] = dataUrl.split(",");
+  const type =
+    /^data:([^;,]*)/.exec(header)?.[1] || "application/octet-stream";
+  const text = header.endsWith(";base64")
+    ? atob(data)
+    : decodeURIComponent(data);
+  return new Blob([Uint8Array.from(text, (char) => char.charCodeAt(0))], {
+    type,
+  });
+}
+
+async function embedAttachmentFiles(map) {
+  const files = map.nodes
+    .flatMap((node) => node.attachments)
+    .filter((attachment) => attachment.kind === "file");
+  await Promise.all(
+    files.map(async (attachment) => {
+      try {
+        const blob = await loadAttachmentFile(attachment.id);
+        if (blob) {
+          attachment.dataUrl = await readBlobAsDataUrl(blob);
+        }
+      } catch (error) {
+        console.warn(`Could not read attachment ${attachment.name}`, error);
+      }
+    })
+  );
+  return map;
+}
+
+async function storeEmbeddedFiles(map) {
+  const embedded = map.nodes
+    .flatMap((node) => node.attachments)
+    .filter((attachment) => attachment.dataUrl);
+  await Promise.all(
+    embedded.map(async (attachment) => {
+      try {
+        await saveAttachmentFile(
+          attachment.id,
+          dataUrlToBlob(attachment.dataUrl)
+        );
+      } catch (error) {
+        console.warn(`Could not store attachment ${attachment.name}`, error);
+      }
+      delete attachment.dataUrl;
+    })
+  );
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function renderAttachments() {
+  attachmentsList.innerHTML = "";
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  addAttachmentFileButton.disabled = !selected;
+  Array.from(attachmentLinkForm.elements).forEach((element) => {
+    element.disabled = !selected;
+  });
+  if (!selected) {
+    return;
+  }
+  if (selected.attachments.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "attachments__empty";
+    empty.textContent = "No files or links yet.";
+    attachmentsList.appendChild(empty);
+    return;
+  }
+
+  selected.attachments.forEach((attachment) => {
+    const item = document.createElement("li");
+    item.className = "attachments__item";
+    const link = document.createElement("a");
+    link.className = "attachments__name";
+    link.textContent = attachment.name;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    const meta = document.createElement("span");
+    meta.className = "attachments__meta";
+
+    if (attachment.kind === "url") {
+      link.href = attachment.url;
+      meta.textContent = attachment.url;
+    } else {
+      link.download = attachment.name;
+      meta.textContent = formatFileSize(attachment.size);
+      getAttachmentUrl(attachment.id)
+        .then((url) => {
+          if (!url) {
+            item.classList.add("attachments__item--missing");
+            meta.textContent = "File missing on this device";
+            return;
+          }
+          link.href = url;
+          if (attachment.type.startsWith("image/")) {
+            const image = document.createElement("img");
+            image.className = "attachments__thumb";
+            image.src = url;
+            image.alt = attachment.name;
+            item.appendChild(image);
+          }
+        })
+        .catch((error) => {
+          console.warn(`Could not load attachment ${attachment.name}`, error);
+        });
+    }
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => removeAttachment(attachment.id));
+    item.append(link, meta, remove);
+    attachmentsList.appendChild(item);
+  });
+}
+
+async function addAttachmentFiles(files) {
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  if (!selected || files.length === 0) {
+    return;
+  }
+  attachmentError.textContent = "";
+  const attachments = [];
+  try {
+    for (const file of files) {
+      const id = crypto.randomUUID();
+      await saveAttachmentFile(id, file);
+      attachments.push({
+        id,
+        kind: "file",
+        name: file.name,
+        type: file.type || "application/octet-stream",
+        size: file.size,
+        addedAt: new Date().toISOString(),
+      });
+    }
+  } catch (error) {
+    attachmentError.textContent = `Could not store ${
+      files.length === 1 ? "the file" : "every file"
+    }: ${error.message}`;
+  }
+  if (attachments.length === 0) {
+    return;
+  }
+  recordHistory(attachments.length > 1 ? "Attach files" : "Attach file");
+  selected.attachments.push(...attachments);
+  saveState();
+  render();
+}
+
+function addAttachmentLink() {
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  if (!selected) {
+    return;
+  }
+  const formData = new FormData(attachmentLinkForm);
+  const url = sanitizeUrl(formData.get("url").toString().trim());
+  if (!url) {
+    attachmentError.textContent =
+      "Links must start with http://, https:// or mailto:.";
+    return;
+  }
+  attachmentError.textContent = "";
+  const name =
+    formData.get("name").toString().trim() ||
+    url.replace(/^(https?:\/\/|mailto:)/i, "").replace(/\/$/, "");
+  recordHistory("Attach link");
+  selected.attachments.push({
+    id: crypto.randomUUID(),
+    kind: "url",
+    name,
+    url,
+    addedAt: new Date().toISOString(),
+  });
+  attachmentLinkForm.reset();
+  saveState();
+  render();
+}
+
+function removeAttachment(attachmentId) {
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  if (!selected) {
+    return;
+  }
+  recordHistory("Remove attachment");
+  selected.attachments = selected.attachments.filter(
+    (attachment) => attachment.id !== attachmentId
+  );
+  revokeAttachmentUrls([attachmentId]);
+  saveState();
+  render();
+}
+
+function renderCosts() {
+  hourlyRateInput.value = state.settings.hourlyRate;
+  costBreakdown.textContent = "";
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  if (!selected) {
+    return;
+  }
+  const totals = computeTotals().get(selected.id) || emptyTotals();
+  const rate = getHourlyRate(selected);
+  const lines = [
+    `This item: ${formatCurrency(selected.estimatedCost)} cash + ${roundHours(
+      selected.estimatedTime
+    )}h × ${formatCurrency(rate)}/h = ${formatCurrency(
+      selected.estimatedCost + selected.estimatedTime * rate
+    )}`,
+    `With sub-items: ${formatCurrency(totals.cost)} cash + ${formatCurrency(
+      totals.labor
+    )} labor (${roundHours(totals.time)}h) = ${formatCurrency(
+      totals.effectiveCost
+    )}`,
+  ];
+  lines.forEach((line) => {
+    const row = document.createElement("div");
+    row.textContent = line;
+    costBreakdown.appendChild(row);
+  });
+}
+
+function getDecisionFor(node) {
+  if (node.kind === "decision") {
+    return node;
+  }
+  const { nodesById, incomingMap } = buildGraph(
+    (link) => getLinkType(link).rollsUp
+  );
+  return (
+    (incomingMap.get(node.id) || [])
+      .map((parentId) => nodesById.get(parentId))
+      .find((parent) => parent?.kind === "decision") || null
+  );
+}
+
+function renderDecision() {
+  decisionTable.innerHTML = "";
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  const decision = selected ? getDecisionFor(selected) : null;
+  decisionSection.hidden = !decision;
+  if (!decision) {
+    return;
+  }
+  const options = getDecisionOptions(decision);
+  clearChoiceButton.disabled = !options.some(
+    (option) => option.id === decision.chosenOptionId
+  );
+  if (options.length === 0) {
+    decisionSummary.textContent = `Add children to "${decision.name}" to compare options.`;
+    return;
+  }
+  decisionSummary.textContent = `${decision.name}: ${
+    options.length
+  } option${options.length === 1 ? "" : "s"}. Only the chosen one counts toward totals.`;
+
+  const totalsById = computeTotals();
+  const head = document.createElement("tr");
+  ["Option", "Cost", "Time", "Effective", ""].forEach((label) => {
+    const cell = document.createElement("th");
+    cell.textContent = label;
+    head.appendChild(cell);
+  });
+  decisionTable.appendChild(head);
+
+  options.forEach((option) => {
+    const totals = totalsById.get(option.id) || emptyTotals();
+    const isChosen = option.id === decision.chosenOptionId;
+    const row = document.createElement("tr");
+    row.classList.toggle("decision__row--chosen", isChosen);
+    [
+      option.name,
+      formatCurrency(totals.cost),
+      `${roundHours(totals.time)}h`,
+      formatCurrency(totals.effectiveCost),
+    ].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    const actionCell = document.createElement("td");
+    const choose = document.createElement("button");
+    choose.type = "button";
+    choose.className = "btn";
+    choose.textContent = isChosen ? "Chosen" : "Choose";
+    choose.disabled = isChosen;
+    choose.addEventListener("click", () =>
+      chooseOption(decision.id, option.id)
+    );
+    actionCell.appendChild(choose);
+    row.appendChild(actionCell);
+    decisionTable.appendChild(row);
+  });
+}
+
+function chooseOption(decisionId, optionId) {
+  const decision = state.nodes.find((node) => node.id === decisionId);
+  if (!decision || decision.chosenOptionId === optionId) {
+    return;
+  }
+  recordHistory(optionId ? "Choose option" : "Clear choice");
+  decision.chosenOptionId = optionId;
+  saveState();
+  render();
+}
+
+function renderSchedule(schedule) {
+  scheduleStartInput.value = state.settings.startDate || "";
+  scheduleStartInput.placeholder = formatDateInput(schedule.projectStart);
+  scheduleDefaultHoursInput.value = state.settings.defaultHoursPerWeek;
+  scheduleCriticalInput.checked = state.settings.showCriticalPath;
+  scheduleSummary.textContent = `Starts ${formatShortDate(
+    schedule.projectStart
+  )}${state.settings.startDate ? "" : " (today)"} · projected completion ${formatShortDate(
+    scheduleDate(schedule, schedule.projectFinish, { isFinish: true })
+  )}`;
+
+  nodeScheduleInfo.textContent = "";
+  scheduleSubtreesList.innerHTML = "";
+  const { incomingMap } = buildGraph();
+  const focusId = state.nodes.some((node) => node.id === selectedNodeId)
+    ? selectedNodeId
+    : getRootId(incomingMap);
+  if (!focusId) {
+    return;
+  }
+
+  const entry = schedule.entries.get(focusId);
+  if (focusId === selectedNodeId && entry) {
+    const parts = [
+      `Earliest start ${formatShortDate(scheduleDate(schedule, entry.start))}`,
+      `finish ${formatShortDate(
+        scheduleDate(schedule, entry.finish, { isFinish: true })
+      )}`,
+    ];
+    const pinnedStart = parseDateInput(
+      state.nodes.find((node) => node.id === focusId).startDate
+    );
+    if (pinnedStart) {
+      parts.unshift(`Pinned to start no earlier than ${formatShortDate(pinnedStart)}`);
+    }
+    if (entry.isInCycle) {
+      parts.push("part of a dependency loop");
+    } else if (entry.isCritical) {
+      parts.push("on the critical path");
+    } else if (entry.isCounted) {
+      parts.push(`${formatDuration(entry.slack)} of slack`);
+    }
+    nodeScheduleInfo.textContent = parts.join(" · ");
+    if (pinnedStart) {
+      const clear = document.createElement("button");
+      clear.type = "button";
+      clear.className = "node-schedule__clear";
+      clear.textContent = "Clear pinned start";
+      clear.addEventListener("click", clearPinnedStart);
+      nodeScheduleInfo.append(" ", clear);
+    }
+  }
+
+  [focusId, ...(schedule.childrenMap.get(focusId) || [])].forEach((nodeId) => {
+    if (!schedule.entries.has(nodeId)) {
+      return;
+    }
+    const item = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = getNodeName(nodeId);
+    const date = document.createElement("span");
+    date.className = "schedule__date";
+    date.textContent = formatShortDate(
+      scheduleDate(schedule, getSubtreeFinish(schedule, nodeId), {
+        isFinish: true,
+      })
+    );
+    item.append(name, date);
+    if (nodeId === focusId) {
+      item.className = "schedule__subtree--focus";
+    }
+    scheduleSubtreesList.appendChild(item);
+  });
+}
+
+function updateScheduleSettings(updates, label) {
+  recordHistory(label, { coalesceKey: `settings:${Object.keys(updates)}` });
+  Object.assign(state.settings, updates);
+  saveState();
+  render();
+}
+
+function renderStatuses() {
+  statusesList.innerHTML = "";
+  state.statuses.forEach((status, index) => {
+    const item = document.createElement("li");
+    item.className = "statuses__item";
+
+    const color = document.createElement("input");
+    color.type = "color";
+    color.value = status.color;
+    color.className = "statuses__color";
+    color.setAttribute("aria-label", `Color for ${status.name}`);
+    color.addEventListener("change", () => {
+      updateStatus(status, { color: color.value }, "Change status color");
+    });
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.value = status.name;
+    name.className = "statuses__name";
+    name.setAttribute("aria-label", "Status name");
+    name.addEventListener("input", () => {
+      recordHistory("Rename status", { coalesceKey: `status:${status.id}` });
+      status.name = name.value;
+      saveState();
+    });
+    name.addEventListener("change", () => render());
+
+    const moveUp = document.createElement("button");
+    moveUp.type = "button";
+    moveUp.textContent = "↑";
+    moveUp.setAttribute("aria-label", `Move ${status.name} up`);
+    moveUp.disabled = index === 0;
+    moveUp.addEventListener("click", () => moveStatus(index, -1));
+
+    const moveDown = document.createElement("button");
+    moveDown.type = "button";
+    moveDown.textContent = "↓";
+    moveDown.setAttribute("aria-label", `Move ${status.name} down`);
+    moveDown.disabled = index === state.statuses.length - 1;
+    moveDown.addEventListener("click", () => moveStatus(index, 1));
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "statuses__remove";
+    remove.textContent = "Remove";
+    remove.disabled = state.statuses.length < 2;
+    remove.addEventListener("click", () => removeStatus(status.id));
+
+    const flags = document.createElement("div");
+    flags.className = "statuses__flags";
+    [
+      ["countsTowardTotals", "Counts toward totals"],
+      ["dimsBranch", "Dims branch"],
+      ["pulses", "Animate"],
+      ["isDone", "Marks done"],
+    ].forEach(([flag, labelText]) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = Boolean(status[flag]);
+      checkbox.addEventListener("change", () => {
+        updateStatus(status, { [flag]: checkbox.checked }, "Change status rules");
+      });
+      label.append(checkbox, labelText);
+      flags.appendChild(label);
+    });
+
+    item.append(color, name, moveUp, moveDown, remove, flags);
+    statusesList.appendChild(item);
+  });
+}
+
+function updateStatus(status, updates, label) {
+  recordHistory(label);
+  Object.assign(status, updates);
+  saveState();
+  render();
+}
+
+function addStatus() {
+  recordHistory("Add status");
+  state.statuses.push({
+    ...FALLBACK_STATUS,
+    id: crypto.randomUUID(),
+    name: "New Status",
+  });
+  saveState();
+  render();
+  statusesList.querySelector(".statuses__item:last-child .statuses__name")?.select();
+}
+
+function moveStatus(index, offset) {
+  const targetIndex = index + offset;
+  if (targetIndex < 0 || targetIndex >= state.statuses.length) {
+    return;
+  }
+  recordHistory("Reorder statuses");
+  const [status] = state.statuses.splice(index, 1);
+  state.statuses.splice(targetIndex, 0, status);
+  saveState();
+  render();
+}
+
+function removeStatus(statusId) {
+  if (state.statuses.length < 2) {
+    return;
+  }
+  recordHistory("Remove status");
+  state.statuses = state.statuses.filter((status) => status.id !== statusId);
+  state.nodes.forEach((node) => {
+    if (node.statusId === statusId) {
+      node.statusId = state.statuses[0].id;
+    }
+  });
+  saveState();
+  render();
+}
+
+function removePerson(personId) {
+  recordHistory("Remove person");
+  state.people = state.people.filter((person) => person.id !== personId);
+  state.nodes.forEach((node) => {
+    node.assignees = node.assignees.filter((id) => id !== personId);
+  });
+  saveState();
+  render();
+}
+
+function updateSelectedNodeDisplay(selected) {
+  const nodeEl = mapContent.querySelector(
+    `[data-node-id="${selected.id}"]`
+  );
+  if (!nodeEl) {
+    return;
+  }
+
+  const titleEl = nodeEl.querySelector(".node__title");
+  if (titleEl) {
+    titleEl.textContent = selected.name;
+  }
+
+  const metaEl = nodeEl.querySelector(".node__meta");
+  if (metaEl) {
+    const totalsById = computeTotals();
+    const totals = totalsById.get(selected.id) || emptyTotals();
+    metaEl.innerHTML = formatNodeMeta(selected, totals);
+  }
+
+  applyStatusStyle(nodeEl, selected);
+  applyAssigneeStyle(nodeEl, selected);
+}
+
+function updateConnections() {
+  connectionsList.innerHTML = "";
+  if (!selectedNodeId) {
+    return;
+  }
+
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  if (!selected) {
+    return;
+  }
+
+  const links = state.links.filter(
+    (link) => link.from === selectedNodeId || link.to === selectedNodeId
+  );
+
+  if (links.length === 0) {
+    const empty = document.createElement("li");
+    empty.textContent = "No connections yet.";
+    connectionsList.appendChild(empty);
+    return;
+  }
+
+  links.forEach((link) => {
+    const li = document.createElement("li");
+    const fromNode = state.nodes.find((node) => node.id === link.from);
+    const toNode = state.nodes.find((node) => node.id === link.to);
+    const name = document.createElement("span");
+    name.className = "connections__name";
+    name.textContent = `${fromNode?.name || "Unknown"} → ${
+      toNode?.name || "Unknown"
+    }`;
+    li.appendChild(name);
+
+    const typeSelect = document.createElement("select");
+    typeSelect.setAttribute("aria-label", "Link type");
+    fillLinkTypeOptions(typeSelect);
+    typeSelect.value = link.type;
+    typeSelect.addEventListener("change", () => {
+      const problem = describeLinkProblem(
+        link.from,
+        link.to,
+        typeSelect.value
+      );
+      if (problem) {
+        error.textContent = problem;
+        typeSelect.value = link.type;
+        return;
+      }
+      recordHistory("Change link type");
+      link.type = typeSelect.value;
+      saveState();
+      render();
+    });
+    li.appendChild(typeSelect);
+
+    const labelInput = document.createElement("input");
+    labelInput.type = "text";
+    labelInput.placeholder = "Label";
+    labelInput.setAttribute("aria-label", "Link label");
+    labelInput.value = link.label;
+    labelInput.addEventListener("change", () => {
+      recordHistory("Edit link label");
+      link.label = labelInput.value.trim();
+      saveState();
+      render();
+    });
+    li.appendChild(labelInput);
+
+    const error = document.createElement("p");
+    error.className = "connections__error";
+    error.setAttribute("role", "alert");
+
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => {
+      recordHistory("Remove link");
+      state.links = state.links.filter((item) => item.id !== link.id);
+      saveState();
+      render();
+    });
+
+    li.appendChild(remove);
+    li.appendChild(error);
+    connectionsList.appendChild(li);
+  });
+}
+
+function addNode({ parentId } = {}) {
+  const newNode = createNodeData();
+  newNode.statusId = state.statuses[0]?.id ?? null;
+  recordHistory(parentId ? "Add child" : "Add node");
+  state.nodes.push(newNode);
+  if (parentId) {
+    state.links.push({
+      id: crypto.randomUUID(),
+      from: parentId,
+      to: newNode.id,
+      type: "hierarchy",
+      label: "",
+    });
+  }
+  selectedNodeId = newNode.id;
+  saveState();
+  render();
+}
+
+function deleteNode() {
+  const ids = getSelectedIds();
+  if (ids.size === 0) {
+    return;
+  }
+  recordHistory(ids.size > 1 ? "Delete nodes" : "Delete node");
+  state.nodes = state.nodes.filter((node) => !ids.has(node.id));
+  state.links = state.links.filter(
+    (link) => !ids.has(link.from) && !ids.has(link.to)
+  );
+  selectedNodeId = state.nodes[0]?.id ?? null;
+  selectedNodeIds = new Set();
+  saveState();
+  render();
+}
+
+function getSelectedIds() {
+  const existing = Array.from(selectedNodeIds).filter((nodeId) =>
+    state.nodes.some((node) => node.id === nodeId)
+  );
+  if (existing.length > 1 && existing.includes(selectedNodeId)) {
+    return new Set(existing);
+  }
+  return new Set(selectedNodeId ? [selectedNodeId] : []);
+}
+
+function toggleNodeSelection(nodeId) {
+  const ids = getSelectedIds();
+  if (ids.has(nodeId)) {
+    ids.delete(nodeId);
+    if (selectedNodeId === nodeId) {
+      selectedNodeId = ids.values().next().value ?? null;
+    }
+  } else {
+    ids.add(nodeId);
+    selectedNodeId = nodeId;
+  }
+  selectedNodeIds = ids;
+}
+
+function startMarquee(event) {
+  const element = document.createElement("div");
+  element.className = "map__marquee";
+  mapViewport.appendChild(element);
+  marqueeState = {
+    start: { x: event.clientX, y: event.clientY },
+    end: { x: event.clientX, y: event.clientY },
+    element,
+  };
+  didPanMap = true;
+  setTextSelectionDisabled(true);
+  updateMarquee(event);
+}
+
+function updateMarquee(event) {
+  marqueeState.end = { x: event.clientX, y: event.clientY };
+  const rect = mapViewport.getBoundingClientRect();
+  const { start, end, element } = marqueeState;
+  element.style.left = `${Math.min(start.x, end.x) - rect.left}px`;
+  element.style.top = `${Math.min(start.y, end.y) - rect.top}px`;
+  element.style.width = `${Math.abs(end.x - start.x)}px`;
+  element.style.height = `${Math.abs(end.y - start.y)}px`;
+}
+
+function finishMarquee() {
+  const { start, end, element } = marqueeState;
+  marqueeState = null;
+  element.remove();
+  setTextSelectionDisabled(false);
+  const topLeft = screenToMapPoint(
+    Math.min(start.x, end.x),
+    Math.min(start.y, end.y)
+  );
+  const bottomRight = screenToMapPoint(
+    Math.max(start.x, end.x),
+    Math.max(start.y, end.y)
+  );
+  const ids = getSelectedIds();
+  mapContent.querySelectorAll(".node").forEach((element) => {
+    const position = layoutCache.displayedPositions.get(
+      element.dataset.nodeId
+    );
+    if (
+      position &&
+      position.x >= topLeft.x &&
+      position.x <= bottomRight.x &&
+      position.y >= topLeft.y &&
+      position.y <= bottomRight.y
+    ) {
+      ids.add(element.dataset.nodeId);
+    }
+  });
+  if (ids.size === 0) {
+    return;
+  }
+  if (!ids.has(selectedNodeId)) {
+    selectedNodeId = ids.values().next().value;
+  }
+  selectedNodeIds = ids;
+  setSidebarCollapsed(false);
+  render();
+}
+
+function renderBulkEdit() {
+  const ids = getSelectedIds();
+  const isBulk = ids.size > 1;
+  nodeForm.hidden = isBulk;
+  bulkEdit.hidden = !isBulk;
+  selectionTitle.textContent = isBulk
+    ? `${ids.size} Nodes Selected`
+    : "Selected Node";
+  if (!isBulk) {
+    bulkMessage.textContent = "";
+    return;
+  }
+
+  const fillSelect = (select, placeholder, items) => {
+    select.innerHTML = "";
+    [{ id: "", name: placeholder }, ...items].forEach((item) => {
+      const option = document.createElement("option");
+      option.value = item.id;
+      option.textContent = item.name;
+      select.appendChild(option);
+    });
+  };
+  fillSelect(bulkStatusSelect, "Choose a status…", state.statuses);
+  fillSelect(bulkPersonSelect, "Choose a person…", state.people);
+  fillSelect(
+    bulkLinkSelect,
+    "Choose a node…",
+    state.nodes.filter((node) => !ids.has(node.id))
+  );
+}
+
+function applyToSelection(label, update) {
+  const ids = getSelectedIds();
+  const nodes = state.nodes.filter((node) => ids.has(node.id));
+  recordHistory(label);
+  nodes.forEach(update);
+  saveState();
+  render();
+}
+
+function applyBulkStatus() {
+  const statusId = bulkStatusSelect.value;
+  if (!statusId) {
+    return;
+  }
+  applyToSelection("Set status", (node) => {
+    node.statusId = statusId;
+  });
+}
+
+function applyBulkAssignee(shouldAssign) {
+  const personId = bulkPersonSelect.value;
+  if (!personId) {
+    return;
+  }
+  const label = shouldAssign ? "Assign nodes" : "Unassign nodes";
+  applyToSelection(label, (node) => {
+    node.assignees = shouldAssign
+      ? Array.from(new Set([...node.assignees, personId]))
+      : node.assignees.filter((id) => id !== personId);
+  });
+}
+
+function applyBulkTag(shouldAdd) {
+  const [tag] = normalizeTags([bulkTagInput.value]);
+  if (!tag) {
+    return;
+  }
+  applyToSelection(shouldAdd ? "Add tag" : "Remove tag", (node) => {
+    node.tags = shouldAdd
+      ? normalizeTags([...node.tags, tag])
+      : node.tags.filter((existing) => existing !== tag);
+  });
+  bulkTagInput.value = "";
+}
+
+function linkSelection(isDependent) {
+  const targetId = bulkLinkSelect.value;
+  if (!targetId) {
+    bulkMessage.textContent = "Choose a node to link with.";
+    return;
+  }
+  let linkedCount = 0;
+  let skippedCount = 0;
+  getSelectedIds().forEach((nodeId) => {
+    const requiredId = isDependent ? targetId : nodeId;
+    const dependentId = isDependent ? nodeId : targetId;
+    if (describeLinkProblem(requiredId, dependentId, "dependency")) {
+      skippedCount += 1;
+      return;
+    }
+    if (linkedCount === 0) {
+      recordHistory("Link nodes");
+    }
+    state.links.push({
+      id: crypto.randomUUID(),
+      from: requiredId,
+      to: dependentId,
+      type: "dependency",
+      label: "",
+    });
+    linkedCount += 1;
+  });
+  if (linkedCount > 0) {
+    saveState();
+    render();
+  }
+  bulkMessage.textContent = skippedCount
+    ? `Linked ${linkedCount}; skipped ${skippedCount} that were already linked or would create a loop.`
+    : `Linked ${linkedCount} node${linkedCount === 1 ? "" : "s"}.`;
+}
+
+function addSibling() {
+  const { incomingMap } = buildGraph();
+  const parentId = (incomingMap.get(selectedNodeId) || [])[0];
+  addNode({ parentId });
+}
+
+function findNavigationTarget(direction) {
+  const { childrenMap, incomingMap } = buildGraph();
+  const parentId = (incomingMap.get(selectedNodeId) || [])[0];
+  if (direction === "parent") {
+    return parentId;
+  }
+  if (direction === "child") {
+    return (childrenMap.get(selectedNodeId) || [])[0];
+  }
+  const siblings = parentId
+    ? childrenMap.get(parentId) || []
+    : state.nodes
+        .filter((node) => !(incomingMap.get(node.id) || []).length)
+        .map((node) => node.id);
+  const index = siblings.indexOf(selectedNodeId);
+  if (index === -1 || siblings.length < 2) {
+    return null;
+  }
+  const step = direction === "next" ? 1 : -1;
+  return siblings[(index + step + siblings.length) % siblings.length];
+}
+
+function focusSelectedNode() {
+  if (viewMode === "timeline") {
+    timelineSection.focus({ preventScroll: true });
+    return;
+  }
+  if (viewMode !== "map" || !selectedNodeId) {
+    return;
+  }
+  const nodeEl = mapContent.querySelector(
+    `[data-node-id="${selectedNodeId}"]`
+  );
+  if (!nodeEl) {
+    return;
+  }
+  nodeEl.focus({ preventScroll: true });
+  const nodeRect = nodeEl.getBoundingClientRect();
+  const viewportRect = mapViewport.getBoundingClientRect();
+  const isVisible =
+    nodeRect.left >= viewportRect.left &&
+    nodeRect.right <= viewportRect.right &&
+    nodeRect.top >= viewportRect.top &&
+    nodeRect.bottom <= viewportRect.bottom;
+  if (!isVisible) {
+    centerOnNode(selectedNodeId);
+  }
+}
+
+function selectNodeByKeyboard(nodeId) {
+  selectedNodeId = nodeId;
+  selectedNodeIds = new Set();
+  render();
+  focusSelectedNode();
+}
+
+function renameSelectedNode() {
+  setSidebarCollapsed(false);
+  nodeForm.elements.name.focus();
+  nodeForm.elements.name.select();
+}
+
+function isModalOpen() {
+  return Boolean(document.querySelector(".modal.is-open"));
+}
+
+const NAVIGATION_KEYS = {
+  ArrowUp: "parent",
+  ArrowDown: "child",
+  ArrowLeft: "previous",
+  ArrowRight: "next",
+};
+
+function isShortcutTarget(target) {
+  if (target instanceof HTMLElement && target.closest("button")) {
+    return false;
+  }
+  return (
+    (viewMode === "map" && mapSection.contains(target)) ||
+    (viewMode === "timeline" && timelineSection.contains(target))
+  );
+}
+
+function handleShortcutKey(event) {
+  if (
+    !isShortcutTarget(event.target) ||
+    event.ctrlKey ||
+    event.metaKey ||
+    event.altKey ||
+    isEditableTarget(event.target) ||
+    isModalOpen()
+  ) {
+    return;
+  }
+
+  const { key } = event;
+  if (key === "f" || key === "F") {
+    event.preventDefault();
+    fitToScreen();
+    return;
+  }
+  if (!selectedNodeId) {
+    if (key in NAVIGATION_KEYS && state.nodes.length > 0) {
+      event.preventDefault();
+      selectNodeByKeyboard(state.nodes[0].id);
+    }
+    return;
+  }
+
+  if (key in NAVIGATION_KEYS) {
+    event.preventDefault();
+    const selected = state.nodes.find((node) => node.id === selectedNodeId);
+    if (NAVIGATION_KEYS[key] === "child" && selected?.collapsed) {
+      toggleCollapsed(selectedNodeId);
+      focusSelectedNode();
+      return;
+    }
+    const targetId = findNavigationTarget(NAVIGATION_KEYS[key]);
+    if (targetId) {
+      selectNodeByKeyboard(targetId);
+    }
+  } else if (key === "Tab" && !event.shiftKey) {
+    event.preventDefault();
+    addNode({ parentId: selectedNodeId });
+    focusSelectedNode();
+  } else if (key === "Enter") {
+    event.preventDefault();
+    addSibling();
+    focusSelectedNode();
+  } else if (key === "F2") {
+    event.preventDefault();
+    renameSelectedNode();
+  } else if (key === "Delete" || key === "Backspace") {
+    event.preventDefault();
+    deleteNode();
+    focusSelectedNode();
+  } else if (key === "l" || key === "L") {
+    event.preventDefault();
+    showLinkModal();
+  }
+}
+
+function showLinkModal() {
+  linkDependentSelect.innerHTML = "";
+  linkRequiredSelect.innerHTML = "";
+  state.nodes.forEach((node) => {
+    const option = document.createElement("option");
+    option.value = node.id;
+    option.textContent = node.name;
+    linkDependentSelect.appendChild(option.cloneNode(true));
+    linkRequiredSelect.appendChild(option);
+  });
+
+  if (selectedNodeId) {
+    linkDependentSelect.value = selectedNodeId;
+  }
+  fillLinkTypeOptions(linkTypeSelect);
+  linkTypeSelect.value = "dependency";
+  linkLabelInput.value = "";
+  linkError.textContent = "";
+
+  linkModal.classList.add("is-open");
+  linkModal.setAttribute("aria-hidden", "false");
+}
+
+function hideLinkModal() {
+  linkModal.classList.remove("is-open");
+  linkModal.setAttribute("aria-hidden", "true");
+}
+
+function fillLinkTypeOptions(select) {
+  select.innerHTML = "";
+  Object.entries(LINK_TYPES).forEach(([type, { name }]) => {
+    const option = document.createElement("option");
+    option.value = type;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+}
+
+function describeLinkProblem(requiredId, dependentId, type) {
+  if (!dependentId || !requiredId) {
+    return "Choose both nodes to link.";
+  }
+  if (dependentId === requiredId) {
+    return "A node can't depend on itself.";
+  }
+  if (
+    state.links.some(
+      (link) =>
+        link.from === requiredId &&
+        link.to === dependentId &&
+        link.type === type
+    )
+  ) {
+    return "These nodes are already linked this way.";
+  }
+  if (!LINK_TYPES[type].shapesLayout) {
+    return "";
+  }
+  const { childrenMap } = buildGraph();
+  const path = findPath(dependentId, requiredId, childrenMap);
+  if (path) {
+    const names = path.map(getNodeName);
+    return `"${names[names.length - 1]}" already depends on "${names[0]}" via ${names.join(" → ")}, so this link would create a loop.`;
+  }
+  return "";
+}
+
+function getNodeName(nodeId) {
+  return state.nodes.find((node) => node.id === nodeId)?.name || "Unknown";
+}
+
+function createLink() {
+  const dependentId = linkDependentSelect.value;
+  const requiredId = linkRequiredSelect.value;
+  const type = linkTypeSelect.value;
+  const problem = describeLinkProblem(requiredId, dependentId, type);
+  if (problem) {
+    linkError.textContent = problem;
+    return;
+  }
+
+  recordHistory("Create link");
+  state.links.push({
+    id: crypto.randomUUID(),
+    from: requiredId,
+    to: dependentId,
+    type,
+    label: linkLabelInput.value.trim(),
+  });
+  saveState();
+  hideLinkModal();
+  render();
+}
+
+function describeGraphIssue(issue) {
+  const { link } = issue;
+  switch (issue.type) {
+    case "dangling":
+      return `A link between "${getNodeName(link.from)}" and "${getNodeName(link.to)}" points at a deleted node.`;
+    case "self":
+      return `"${getNodeName(link.from)}" is linked to itself.`;
+    case "duplicate":
+      return `"${getNodeName(link.from)}" → "${getNodeName(link.to)}" is linked ${
+        issue.linkIds.length + 1
+      } times.`;
+    case "cycle":
+      return `Loop: ${issue.path.map(getNodeName).join(" → ")}. Fixing removes the last link.`;
+    default:
+      return "Unknown problem.";
+  }
+}
+
+function removeLinks(linkIds) {
+  const ids = new Set(linkIds);
+  state.links = state.links.filter((link) => !ids.has(link.id));
+}
+
+function showHealthModal() {
+  renderHealthIssues();
+  healthModal.classList.add("is-open");
+  healthModal.setAttribute("aria-hidden", "false");
+}
+
+function hideHealthModal() {
+  healthModal.classList.remove("is-open");
+  healthModal.setAttribute("aria-hidden", "true");
+}
+
+function renderHealthIssues() {
+  const issues = findGraphIssues();
+  healthIssuesList.innerHTML = "";
+  healthSummary.textContent =
+    issues.length === 0
+      ? "No loops, duplicate links or broken links found."
+      : `Found ${issues.length} problem${issues.length === 1 ? "" : "s"}.`;
+  fixAllHealthButton.disabled = issues.length === 0;
+
+  issues.forEach((issue) => {
+    const item = document.createElement("li");
+    item.className = `health__item health__item--${issue.type}`;
+    const text = document.createElement("span");
+    text.textContent = describeGraphIssue(issue);
+    const fix = document.createElement("button");
+    fix.type = "button";
+    fix.className = "btn";
+    fix.textContent = "Fix";
+    fix.addEventListener("click", () => {
+      recordHistory("Fix graph problem");
+      removeLinks(issue.linkIds);
+      saveState();
+      render();
+      renderHealthIssues();
+    });
+    item.append(text, fix);
+    healthIssuesList.appendChild(item);
+  });
+}
+
+function fixAllGraphIssues() {
+  let issues = findGraphIssues();
+  if (issues.length === 0) {
+    return;
+  }
+  recordHistory("Fix graph problems");
+  while (issues.length > 0) {
+    removeLinks(issues.flatMap((issue) => issue.linkIds));
+    issues = findGraphIssues();
+  }
+  saveState();
+  render();
+  renderHealthIssues();
+}
+
+function downloadFile(filename, contents, type) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function toFileSlug(name) {
+  const slug = (name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || "planner-map";
+}
+
+async function exportMap() {
+  const payload = {
+    format: MAP_FILE_FORMAT,
+    version: MAP_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    map: await embedAttachmentFiles(JSON.parse(JSON.stringify(state))),
+  };
+  downloadFile(
+    `${toFileSlug(getActiveMapEntry()?.name)}.plannermap.json`,
+    JSON.stringify(payload, null, 2),
+    "application/json"
+  );
+}
+
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[char]
+  );
+}
+
+function sanitizeUrl(url) {
+  if (/^(https?:|mailto:)/i.test(url)) {
+    return url;
+  }
+  return /^www\./i.test(url) ? `https://${url}` : null;
+}
+
+function renderInlineMarkdown(text) {
+  const tokens = [];
+  const keep = (html) => {
+    tokens.push(html);
+    return `\u0000${tokens.length - 1}\u0000`;
+  };
+  return escapeHtml(text.replace(/\u0000/g, ""))
+    .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      const href = sanitizeUrl(url);
+      return href
+        ? keep(
+            `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`
+          )
+        : label;
+    })
+    .replace(/(\*\*|__)(?=\S)(.+?)\1/g, "<strong>$2</strong>")
+    .replace(/\*(?=\S)(.+?)\*/g, "<em>$1</em>")
+    .replace(/(^|\W)_(?=\S)(.+?)_(?=\W|$)/g, "$1<em>$2</em>")
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+function renderMarkdown(text) {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let taskIndex = 0;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join("<br />")}</p>`);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      blocks.push(`<${list.tag}>${list.items.join("")}</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  text.split(/\r?\n/).forEach((line) => {
+    const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+    const item = /^\s*(?:([-*+])|\d+[.)])\s+(.*)$/.exec(line);
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length + 3;
+      blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+    } else if (item) {
+      flushParagraph();
+      const tag = item[1] ? "ul" : "ol";
+      if (list && list.tag !== tag) {
+        flushList();
+      }
+      list = list || { tag, items: [] };
+      const task = /^\[([ xX])\]\s+(.*)$/.exec(item[2]);
+      if (task) {
+        list.items.push(
+          `<li class="markdown__task"><input type="checkbox" data-task-index="${taskIndex}"${
+            task[1] === " " ? "" : " checked"
+          } /> ${renderInlineMarkdown(task[2])}</li>`
+        );
+        taskIndex += 1;
+      } else {
+        list.items.push(`<li>${renderInlineMarkdown(item[2])}</li>`);
+      }
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  });
+  flushParagraph();
+  flushList();
+  return blocks.join("");
+}
+
+function toggleMarkdownTask(text, taskIndex) {
+  let index = -1;
+  return text
+    .split(/\r?\n/)
+    .map((line) => {
+      const match = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\]\s+)/.exec(line);
+      if (!match) {
+        return line;
+      }
+      index += 1;
+      if (index !== taskIndex) {
+        return line;
+      }
+      return `${match[1]}${match[2] === " " ? "x" : " "}${line.slice(
+        match[1].length + 1
+      )}`;
+    })
+    .join("\n");
 }
 
-function updateForm() {
-  const selected = state.nodes.find((node) => node.id === selectedNodeId);
-  const formElements = nodeForm.elements;
-
-  if (!selected) {
-    nodeForm.reset();
-    Array.from(formElements).forEach((element) => {
-      element.disabled = true;
+function wrapSvgText(text, maxWidth, fontSize, maxLines) {
+  const maxChars = Math.max(4, Math.floor(maxWidth / (fontSize * 0.56)));
+  const lines = [];
+  let line = "";
+  text
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (candidate.length > maxChars && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
     });
-    return;
+  if (line) {
+    lines.push(line);
   }
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1]}…`;
+  }
+  return lines;
+}
 
-  Array.from(formElements).forEach((element) => {
-    element.disabled = false;
+function getImageBounds(area, nodeSizes, positionFor, hiddenIds) {
+  if (area === "view") {
+    const rect = mapViewport.getBoundingClientRect();
+    const topLeft = screenToMapPoint(rect.left, rect.top);
+    return {
+      x: topLeft.x,
+      y: topLeft.y,
+      width: rect.width / viewState.scale,
+      height: rect.height / viewState.scale,
+    };
+  }
+  const bounds = {
+    minX: Infinity,
+    minY: Infinity,
+    maxX: -Infinity,
+    maxY: -Infinity,
+  };
+  state.nodes.forEach((node) => {
+    const position = positionFor(node.id);
+    if (!position || hiddenIds.has(node.id)) {
+      return;
+    }
+    const radius = nodeSizes.get(node.id).radius + 8;
+    bounds.minX = Math.min(bounds.minX, position.x - radius);
+    bounds.minY = Math.min(bounds.minY, position.y - radius);
+    bounds.maxX = Math.max(bounds.maxX, position.x + radius);
+    bounds.maxY = Math.max(bounds.maxY, position.y + radius);
   });
+  if (!Number.isFinite(bounds.minX)) {
+    return { x: 0, y: 0, width: 400, height: 300 };
+  }
+  return {
+    x: bounds.minX - IMAGE_EXPORT_PADDING,
+    y: bounds.minY - IMAGE_EXPORT_PADDING,
+    width: bounds.maxX - bounds.minX + IMAGE_EXPORT_PADDING * 2,
+    height: bounds.maxY - bounds.minY + IMAGE_EXPORT_PADDING * 2,
+  };
+}
 
-  formElements.name.value = selected.name;
-  formElements.description.value = selected.description;
-  formElements.estimatedCost.value = selected.estimatedCost;
-  formElements.estimatedTime.value = selected.estimatedTime;
-  formElements.status.value = selected.status;
-  formElements.assignedTo.value = selected.assignedTo;
+function buildMapSvg({ area = "map" } = {}) {
+  const totalsById = computeTotals();
+  const nodeSizes = computeNodeSizes(totalsById);
+  const schedule = computeSchedule();
+  const shelvedBranchIds = collectShelvedBranchIds();
+  const candidateIds = collectCandidateIds();
+  const showCriticalPath = state.settings.showCriticalPath;
+  const nodesById = new Map(state.nodes.map((node) => [node.id, node]));
+  const positionFor = (nodeId) =>
+    layoutCache.positions.get(nodeId) || nodesById.get(nodeId)?.position;
+  const hiddenIds = collectHiddenIds();
+  const bounds = getImageBounds(area, nodeSizes, positionFor, hiddenIds);
+  const gradients = [];
+  const linkMarkup = [];
+  const nodeMarkup = [];
+
+  state.links.forEach((link) => {
+    const from = positionFor(link.from);
+    const to = positionFor(link.to);
+    if (!from || !to || hiddenIds.has(link.from) || hiddenIds.has(link.to)) {
+      return;
+    }
+    const isCritical =
+      showCriticalPath && schedule.criticalLinkIds.has(link.id);
+    const opacity =
+      shelvedBranchIds.has(link.from) || shelvedBranchIds.has(link.to)
+        ? ' opacity="0.25"'
+        : "";
+    const geometry = buildLinkGeometry(from.x, from.y, to.x, to.y);
+    const stroke = getLinkStroke(link, isCritical);
+    const dash = stroke.dash ? ` stroke-dasharray="${stroke.dash}"` : "";
+    const label = link.label
+      ? `<text y="-10" text-anchor="middle" font-size="11" fill="#3b4252" stroke="#ffffff" stroke-width="3" paint-order="stroke">${escapeHtml(
+          link.label
+        )}</text>`
+      : "";
+    linkMarkup.push(
+      `<path d="${geometry.path}" fill="none" stroke="${stroke.color}" stroke-width="${stroke.width}"${dash}${opacity} />`,
+      `<g transform="translate(${geometry.markerX} ${geometry.markerY})"${opacity}><g transform="rotate(${geometry.angle})">${
+        getLinkType(link).glyph
+      }</g>${label}</g>`
+    );
+  });
+
+  state.nodes.forEach((node, index) => {
+    const position = positionFor(node.id);
+    if (!position || hiddenIds.has(node.id)) {
+      return;
+    }
+    const { radius } = nodeSizes.get(node.id);
+    const status = getNodeStatus(node);
+    const totals = totalsById.get(node.id) || emptyTotals();
+    const colors = getAssigneeFillColors(node);
+    let fill = status.dimsBranch ? "#f2f2f2" : "#ffffff";
+    if (colors.length === 1) {
+      fill = colors[0];
+    } else if (colors.length > 1) {
+      const gradientId = `node-fill-${index}`;
+      const step = 100 / colors.length;
+      const stops = colors.flatMap((color, colorIndex) => [
+        `<stop offset="${colorIndex * step}%" stop-color="${color}" />`,
+        `<stop offset="${(colorIndex + 1) * step}%" stop-color="${color}" />`,
+      ]);
+      gradients.push(
+        `<linearGradient id="${gradientId}" x1="0" y1="0" x2="1" y2="1">${stops.join(
+          ""
+        )}</linearGradient>`
+      );
+      fill = `url(#${gradientId})`;
+    }
+
+    const fontSize = Math.max(11, Math.min(radius * 0.24, 38));
+    const metaSize = fontSize * 0.72;
+    const titleLines = wrapSvgText(node.name, radius * 1.5, fontSize, 3);
+    const metaLine = `${roundHours(totals.time)}h · ${formatCurrency(
+      totals.cost
+    )}`;
+    const textHeight = titleLines.length * fontSize * 1.2 + metaSize * 1.4;
+    const textTop = position.y - textHeight / 2 + fontSize;
+    const textColor = status.dimsBranch ? "#7a7f8b" : "#1f2430";
+    const titleMarkup = titleLines
+      .map(
+        (line, lineIndex) =>
+          `<tspan x="${position.x}" y="${
+            textTop + lineIndex * fontSize * 1.2
+          }">${escapeHtml(line)}</tspan>`
+      )
+      .join("");
+    const isCritical =
+      showCriticalPath && schedule.entries.get(node.id)?.isCritical;
+
+    nodeMarkup.push(
+      `<g${shelvedBranchIds.has(node.id) ? ' opacity="0.55"' : ""}>`,
+      isCritical
+        ? `<circle cx="${position.x}" cy="${position.y}" r="${
+            radius + 6
+          }" fill="none" stroke="rgba(235, 87, 87, 0.55)" stroke-width="3" />`
+        : "",
+      `<circle cx="${position.x}" cy="${position.y}" r="${
+        radius - 1
+      }" fill="${fill}" stroke="${status.color}" stroke-width="${
+        node.kind === "decision" ? 4 : 2
+      }"${candidateIds.has(node.id) ? ' stroke-dasharray="6 4"' : ""} />`,
+      `<text text-anchor="middle" font-size="${fontSize}" font-weight="600" fill="${textColor}">${titleMarkup}</text>`,
+      `<text x="${position.x}" y="${
+        textTop + titleLines.length * fontSize * 1.2 + metaSize * 0.2
+      }" text-anchor="middle" font-size="${metaSize}" fill="#5d6472">${escapeHtml(
+        metaLine
+      )}</text>`,
+      "</g>"
+    );
+  });
+
+  const width = Math.round(bounds.width);
+  const height = Math.round(bounds.height);
+  return {
+    width,
+    height,
+    markup: [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}" font-family="Inter, 'Segoe UI', system-ui, sans-serif">`,
+      `<title>${escapeHtml(getActiveMapEntry()?.name || "Planner map")}</title>`,
+      `<defs>${gradients.join("")}</defs>`,
+      `<rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" fill="#f6f7fb" />`,
+      ...linkMarkup,
+      ...nodeMarkup,
+      "</svg>",
+    ].join("\n"),
+  };
 }
 
-function updateSelectedNodeDisplay(selected) {
-  const nodeEl = mapContent.querySelector(
-    `[data-node-id="${selected.id}"]`
-  );
-  if (!nodeEl) {
+function rasterizeSvg({ markup, width, height }, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([markup], { type: "image/svg+xml" })
+    );
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas
+        .getContext("2d")
+        .drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error("The image is too large to export."));
+        }
+      }, "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The map could not be drawn as an image."));
+    };
+    image.src = url;
+  });
+}
+
+function showImageExportModal() {
+  const canExportView = viewMode === "map";
+  imageAreaSelect.querySelector('option[value="view"]').disabled =
+    !canExportView;
+  if (!canExportView) {
+    imageAreaSelect.value = "map";
+  }
+  imageExportError.textContent = "";
+  updateImageExportSummary();
+  imageExportModal.classList.add("is-open");
+  imageExportModal.setAttribute("aria-hidden", "false");
+}
+
+function hideImageExportModal() {
+  imageExportModal.classList.remove("is-open");
+  imageExportModal.setAttribute("aria-hidden", "true");
+}
+
+function updateImageExportSummary() {
+  const isPng = imageFormatSelect.value === "png";
+  imageScaleField.hidden = !isPng;
+  const { width, height } = buildMapSvg({ area: imageAreaSelect.value });
+  const scale = isPng ? Number(imageScaleSelect.value) : 1;
+  imageExportSummary.textContent = `${Math.round(width * scale)} × ${Math.round(
+    height * scale
+  )} px`;
+}
+
+async function exportImage() {
+  const svg = buildMapSvg({ area: imageAreaSelect.value });
+  const baseName = toFileSlug(getActiveMapEntry()?.name);
+  if (imageFormatSelect.value === "svg") {
+    downloadFile(`${baseName}.svg`, svg.markup, "image/svg+xml");
+    hideImageExportModal();
     return;
   }
+  try {
+    const blob = await rasterizeSvg(svg, Number(imageScaleSelect.value));
+    downloadFile(`${baseName}.png`, blob, "image/png");
+    hideImageExportModal();
+  } catch (error) {
+    imageExportError.textContent = error.message;
+  }
+}
 
-  const titleEl = nodeEl.querySelector(".node__title");
-  if (titleEl) {
-    titleEl.textContent = selected.name;
+function isNonNegativeNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+function validateMapFile(payload, { allowDanglingLinks = false } = {}) {
+  const errors = [];
+  if (!payload || typeof payload !== "object") {
+    return { map: null, errors: ["The file does not contain a map."] };
   }
 
-  const metaEl = nodeEl.querySelector(".node__meta");
-  if (metaEl) {
-    const totalsById = computeTotals();
-    const totals = totalsById.get(selected.id) || { cost: 0, time: 0 };
-    const estimateLine = formatMetaLine({
-      time: selected.estimatedTime,
-      cost: selected.estimatedCost,
-      isStrong: true,
+  let data = payload;
+  let version = 1;
+  if (payload.format !== undefined || payload.map !== undefined) {
+    if (payload.format !== MAP_FILE_FORMAT) {
+      errors.push(`Unknown file format "${payload.format}".`);
+    }
+    if (!Number.isInteger(payload.version) || payload.version < 1) {
+      errors.push("The file has no valid schema version.");
+    } else if (payload.version > MAP_SCHEMA_VERSION) {
+      errors.push(
+        `The file uses schema version ${payload.version}, but this PlannerMap only understands up to version ${MAP_SCHEMA_VERSION}.`
+      );
+    }
+    data = payload.map;
+    version = payload.version;
+  }
+  if (!data || !Array.isArray(data.nodes) || !Array.isArray(data.links)) {
+    errors.push("The map must contain \"nodes\" and \"links\" lists.");
+    return { map: null, errors };
+  }
+  if (errors.length > 0) {
+    return { map: null, errors };
+  }
+  data = upgradeMap(data, version);
+
+  const rawSettings =
+    data.settings && typeof data.settings === "object" ? data.settings : {};
+  const settings = {
+    ...createDefaultSettings(),
+    ...rawSettings,
+    startDate: parseDateInput(rawSettings.startDate) ? rawSettings.startDate : null,
+    defaultHoursPerWeek:
+      rawSettings.defaultHoursPerWeek > 0
+        ? rawSettings.defaultHoursPerWeek
+        : DEFAULT_HOURS_PER_WEEK,
+    showCriticalPath: rawSettings.showCriticalPath !== false,
+    hourlyRate: isNonNegativeNumber(rawSettings.hourlyRate)
+      ? rawSettings.hourlyRate
+      : DEFAULT_HOURLY_RATE,
+    layout: LAYOUT_MODES.includes(rawSettings.layout)
+      ? rawSettings.layout
+      : "radial",
+  };
+
+  if (!Array.isArray(data.people)) {
+    errors.push("The map must contain a \"people\" list.");
+    return { map: null, errors };
+  }
+  const personIds = new Set();
+  const people = data.people.map((person, index) => {
+    const label = `Person ${index + 1}`;
+    if (!person || typeof person !== "object") {
+      errors.push(`${label} is not an object.`);
+      return null;
+    }
+    if (typeof person.id !== "string" || !person.id) {
+      errors.push(`${label} is missing an id.`);
+    } else if (personIds.has(person.id)) {
+      errors.push(`${label} reuses the id "${person.id}".`);
+    } else {
+      personIds.add(person.id);
+    }
+    if (typeof person.name !== "string") {
+      errors.push(`${label} is missing a name.`);
+    }
+    return {
+      ...person,
+      color: /^#[0-9a-f]{6}$/i.test(person.color)
+        ? person.color
+        : PERSON_COLORS[index % PERSON_COLORS.length],
+      hoursPerWeek: isNonNegativeNumber(person.hoursPerWeek)
+        ? person.hoursPerWeek
+        : DEFAULT_HOURS_PER_WEEK,
+      hourlyRate: isNonNegativeNumber(person.hourlyRate)
+        ? person.hourlyRate
+        : null,
+    };
+  });
+
+  if (!Array.isArray(data.statuses) || data.statuses.length === 0) {
+    errors.push("The map must define at least one status.");
+    return { map: null, errors };
+  }
+  const statusIds = new Set();
+  const statuses = data.statuses.map((status, index) => {
+    const label = `Status ${index + 1}`;
+    if (!status || typeof status !== "object") {
+      errors.push(`${label} is not an object.`);
+      return null;
+    }
+    if (typeof status.id !== "string" || !status.id) {
+      errors.push(`${label} is missing an id.`);
+    } else if (statusIds.has(status.id)) {
+      errors.push(`${label} reuses the id "${status.id}".`);
+    } else {
+      statusIds.add(status.id);
+    }
+    if (typeof status.name !== "string") {
+      errors.push(`${label} is missing a name.`);
+    }
+    return {
+      ...status,
+      color: /^#[0-9a-f]{6}$/i.test(status.color)
+        ? status.color
+        : FALLBACK_STATUS.color,
+      countsTowardTotals: status.countsTowardTotals !== false,
+      dimsBranch: Boolean(status.dimsBranch),
+      pulses: Boolean(status.pulses),
+      isDone: Boolean(status.isDone),
+    };
+  });
+
+  const nodeIds = new Set();
+  const nodes = data.nodes.map((node, index) => {
+    const label = `Node ${index + 1}${
+      typeof node?.name === "string" ? ` ("${node.name}")` : ""
+    }`;
+    if (!node || typeof node !== "object") {
+      errors.push(`${label} is not an object.`);
+      return null;
+    }
+    if (typeof node.id !== "string" || !node.id) {
+      errors.push(`${label} is missing an id.`);
+    } else if (nodeIds.has(node.id)) {
+      errors.push(`${label} reuses the id "${node.id}".`);
+    } else {
+      nodeIds.add(node.id);
+    }
+    if (typeof node.name !== "string") {
+      errors.push(`${label} is missing a name.`);
+    }
+    ["estimatedCost", "estimatedTime"].forEach((field) => {
+      if (!isNonNegativeNumber(node[field])) {
+        errors.push(`${label} needs a non-negative number for ${field}.`);
+      }
     });
-    const totalLine = formatMetaLine({
-      time: totals.time,
-      cost: totals.cost,
-      prefix: "Total: ",
+    if (
+      node.startDate !== undefined &&
+      node.startDate !== null &&
+      !parseDateInput(node.startDate)
+    ) {
+      errors.push(`${label} has an invalid start date.`);
+    }
+    if (
+      node.dueDate !== undefined &&
+      node.dueDate !== null &&
+      !parseDateInput(node.dueDate)
+    ) {
+      errors.push(`${label} has an invalid due date.`);
+    }
+    if (node.attachments !== undefined && !Array.isArray(node.attachments)) {
+      errors.push(`${label} has an invalid attachments list.`);
+    } else {
+      (node.attachments || []).forEach((attachment, attachmentIndex) => {
+        const attachmentLabel = `${label}, attachment ${attachmentIndex + 1}`;
+        if (
+          !attachment ||
+          typeof attachment.id !== "string" ||
+          typeof attachment.name !== "string" ||
+          !ATTACHMENT_KINDS.includes(attachment.kind)
+        ) {
+          errors.push(`${attachmentLabel} is not a valid file or link.`);
+        } else if (
+          attachment.kind === "url" &&
+          !sanitizeUrl(String(attachment.url))
+        ) {
+          errors.push(`${attachmentLabel} has an unsupported link.`);
+        }
+      });
+    }
+    if (!Array.isArray(node.entries)) {
+      errors.push(`${label} is missing its expense and time entries.`);
+    } else {
+      node.entries.forEach((entry, entryIndex) => {
+        const entryLabel = `${label}, entry ${entryIndex + 1}`;
+        if (!entry || typeof entry.id !== "string") {
+          errors.push(`${entryLabel} is missing an id.`);
+          return;
+        }
+        if (!ENTRY_KINDS.includes(entry.kind)) {
+          errors.push(`${entryLabel} must be an expense or time entry.`);
+        }
+        if (!isNonNegativeNumber(entry.amount)) {
+          errors.push(`${entryLabel} needs a non-negative amount.`);
+        }
+        if (!parseDateInput(entry.date)) {
+          errors.push(`${entryLabel} has an invalid date.`);
+        }
+      });
+    }
+    if (!statusIds.has(node.statusId)) {
+      errors.push(`${label} has a status that is not defined in the map.`);
+    }
+    if (!Array.isArray(node.assignees)) {
+      errors.push(`${label} is missing its assignees list.`);
+    } else if (node.assignees.some((personId) => !personIds.has(personId))) {
+      errors.push(`${label} is assigned to a person who does not exist.`);
+    }
+    const hasPosition =
+      node.position &&
+      Number.isFinite(node.position.x) &&
+      Number.isFinite(node.position.y);
+    return {
+      ...node,
+      description: typeof node.description === "string" ? node.description : "",
+      startDate: node.startDate || null,
+      dueDate: node.dueDate || null,
+      attachments: Array.isArray(node.attachments)
+        ? node.attachments
+            .filter(Boolean)
+            .map(({ dataUrl, ...attachment }) => ({
+              ...attachment,
+              ...(attachment.kind === "file" && {
+                type:
+                  typeof attachment.type === "string" ? attachment.type : "",
+                size: isNonNegativeNumber(attachment.size)
+                  ? attachment.size
+                  : 0,
+              }),
+              ...(typeof dataUrl === "string" &&
+                dataUrl.startsWith("data:") && { dataUrl }),
+            }))
+        : [],
+      entries: Array.isArray(node.entries)
+        ? node.entries.map((entry) => ({
+            ...entry,
+            note: typeof entry?.note === "string" ? entry.note : "",
+          }))
+        : [],
+      positionLocked: Boolean(node.positionLocked && hasPosition),
+      position: hasPosition ? { x: node.position.x, y: node.position.y } : null,
+      kind: NODE_KINDS.includes(node.kind) ? node.kind : "task",
+      chosenOptionId:
+        typeof node.chosenOptionId === "string" ? node.chosenOptionId : null,
+      collapsed: node.collapsed === true,
+      tags: Array.isArray(node.tags) ? normalizeTags(node.tags) : [],
+    };
+  });
+
+  const linkIds = new Set();
+  const links = data.links.map((link, index) => {
+    const label = `Link ${index + 1}`;
+    if (!link || typeof link !== "object") {
+      errors.push(`${label} is not an object.`);
+      return null;
+    }
+    if (typeof link.id !== "string" || !link.id) {
+      errors.push(`${label} is missing an id.`);
+    } else if (linkIds.has(link.id)) {
+      errors.push(`${label} reuses the id "${link.id}".`);
+    } else {
+      linkIds.add(link.id);
+    }
+    ["from", "to"].forEach((field) => {
+      if (typeof link[field] !== "string") {
+        errors.push(`${label} is missing its "${field}" node.`);
+      } else if (!allowDanglingLinks && !nodeIds.has(link[field])) {
+        errors.push(`${label} points ${field} a node that does not exist.`);
+      }
     });
-    metaEl.innerHTML = `${estimateLine}${totalLine}`;
+    if (!allowDanglingLinks && link.from === link.to) {
+      errors.push(`${label} connects a node to itself.`);
+    }
+    return {
+      ...link,
+      type: LINK_TYPES[link.type] ? link.type : "hierarchy",
+      label: typeof link.label === "string" ? link.label : "",
+    };
+  });
+
+  if (errors.length > 0) {
+    return { map: null, errors };
   }
+  return {
+    map: { ...data, settings, people, statuses, nodes, links },
+    errors,
+  };
+}
 
-  STATUS_CLASS_NAMES.forEach((className) => {
-    nodeEl.classList.remove(className);
+function remapMapIds(map, existing) {
+  const idMap = new Map(
+    map.nodes.map((node) => [node.id, crypto.randomUUID()])
+  );
+  const personIdMap = new Map();
+  const people = [];
+  map.people.forEach((person) => {
+    const match = existing.people.find(
+      (item) => item.name.toLowerCase() === person.name.toLowerCase()
+    );
+    if (match) {
+      personIdMap.set(person.id, match.id);
+      return;
+    }
+    const newPerson = { ...person, id: crypto.randomUUID() };
+    personIdMap.set(person.id, newPerson.id);
+    people.push(newPerson);
+  });
+  const statusIdMap = new Map();
+  const statuses = [];
+  map.statuses.forEach((status) => {
+    const match = existing.statuses.find(
+      (item) => item.name.toLowerCase() === status.name.toLowerCase()
+    );
+    if (match) {
+      statusIdMap.set(status.id, match.id);
+      return;
+    }
+    const newStatus = { ...status, id: crypto.randomUUID() };
+    statusIdMap.set(status.id, newStatus.id);
+    statuses.push(newStatus);
   });
-  const statusClass = STATUS_CLASS_MAP.get(selected.status);
-  if (statusClass) {
-    nodeEl.classList.add(statusClass);
+  return {
+    people,
+    statuses,
+    nodes: map.nodes.map((node) => ({
+      ...node,
+      id: idMap.get(node.id),
+      statusId: statusIdMap.get(node.statusId),
+      assignees: node.assignees.map((personId) => personIdMap.get(personId)),
+      chosenOptionId: idMap.get(node.chosenOptionId) ?? null,
+    })),
+    links: map.links.map((link) => ({
+      ...link,
+      id: crypto.randomUUID(),
+      from: idMap.get(link.from),
+      to: idMap.get(link.to),
+    })),
+  };
+}
+
+async function readImportFile(file) {
+  let payload = null;
+  let result;
+  try {
+    payload = JSON.parse(await file.text());
+    result = validateMapFile(payload);
+  } catch (error) {
+    result = { map: null, errors: [`Could not read JSON: ${error.message}`] };
+  }
+  pendingImport = result.map;
+  showImportModal(file.name, result);
+}
+
+function showImportModal(fileName, { map, errors }) {
+  importErrorsList.innerHTML = "";
+  if (map) {
+    importSummary.textContent = `${fileName} contains ${map.nodes.length} nodes and ${map.links.length} links. Replace the current map, or merge it in alongside the existing nodes?`;
+  } else {
+    importSummary.textContent = `${fileName} can't be imported:`;
+    errors.slice(0, MAX_IMPORT_ERRORS_SHOWN).forEach((message) => {
+      const item = document.createElement("li");
+      item.textContent = message;
+      importErrorsList.appendChild(item);
+    });
+    if (errors.length > MAX_IMPORT_ERRORS_SHOWN) {
+      const item = document.createElement("li");
+      item.textContent = `…and ${errors.length - MAX_IMPORT_ERRORS_SHOWN} more problems.`;
+      importErrorsList.appendChild(item);
+    }
   }
+  replaceImportButton.disabled = !map;
+  mergeImportButton.disabled = !map;
+  importModal.classList.add("is-open");
+  importModal.setAttribute("aria-hidden", "false");
+}
 
-  ASSIGNEE_CLASS_NAMES.forEach((className) => {
-    nodeEl.classList.remove(className);
-  });
-  const assigneeClass = ASSIGNEE_CLASS_MAP.get(selected.assignedTo);
-  if (assigneeClass) {
-    nodeEl.classList.add(assigneeClass);
+function hideImportModal() {
+  pendingImport = null;
+  importFileInput.value = "";
+  importModal.classList.remove("is-open");
+  importModal.setAttribute("aria-hidden", "true");
+}
+
+async function applyImport({ merge }) {
+  const incoming = pendingImport;
+  if (!incoming) {
+    return;
+  }
+  pendingImport = null;
+  await storeEmbeddedFiles(incoming);
+  recordHistory(merge ? "Merge imported map" : "Import map");
+  if (merge) {
+    const imported = remapMapIds(incoming, state);
+    state.people.push(...imported.people);
+    state.statuses.push(...imported.statuses);
+    state.nodes.push(...imported.nodes);
+    state.links.push(...imported.links);
+    selectedNodeId = imported.nodes[0]?.id ?? selectedNodeId;
+  } else {
+    state = incoming;
+    layoutCache.positions.clear();
+    selectedNodeId = state.nodes[0]?.id ?? null;
   }
+  saveState();
+  hideImportModal();
+  render();
+  fitToScreen();
 }
 
-function updateConnections() {
-  connectionsList.innerHTML = "";
-  if (!selectedNodeId) {
+function renderMapSelect() {
+  mapSelect.innerHTML = "";
+  mapIndex.maps.forEach((map) => {
+    const option = document.createElement("option");
+    option.value = map.id;
+    option.textContent = map.name;
+    mapSelect.appendChild(option);
+  });
+  mapSelect.value = mapIndex.activeMapId;
+  deleteMapButton.disabled = mapIndex.maps.length < 2;
+}
+
+function switchMap(mapId) {
+  if (!mapIndex.maps.some((map) => map.id === mapId)) {
     return;
   }
+  mapIndex.activeMapId = mapId;
+  saveMapIndex();
+  revokeAttachmentUrls();
+  scenarioIndex = loadScenarioIndex();
+  state = loadState();
+  undoHistory = loadHistory();
+  selectedNodeId = state.nodes[0]?.id ?? null;
+  layoutCache.positions.clear();
+  renderMapSelect();
+  renderScenarioSelect();
+  updateHistoryButtons();
+  render();
+  fitToScreen();
+}
 
-  const selected = state.nodes.find((node) => node.id === selectedNodeId);
-  if (!selected) {
+function renderLoadProblem() {
+  loadProblemBanner.hidden = !loadProblem;
+  if (!loadProblem) {
     return;
   }
+  loadProblemMessage.textContent = `"${loadProblem.name}" could not be loaded: ${
+    loadProblem.errors[0]
+  } Changes to the blank map shown instead are not saved until you download the stored data or start over.`;
+}
 
-  const links = state.links.filter(
-    (link) => link.from === selectedNodeId || link.to === selectedNodeId
+function downloadStoredMap() {
+  if (!loadProblem) {
+    return;
+  }
+  downloadFile(
+    `${toFileSlug(loadProblem.name)}.stored.json`,
+    localStorage.getItem(loadProblem.key) || "",
+    "application/json"
   );
+}
 
-  if (links.length === 0) {
-    const empty = document.createElement("li");
-    empty.textContent = "No connections yet.";
-    connectionsList.appendChild(empty);
+function discardStoredMap() {
+  if (
+    !loadProblem ||
+    !window.confirm(
+      `Replace the stored data for "${loadProblem.name}" with this map? Download it first if you want to keep it.`
+    )
+  ) {
     return;
   }
+  loadProblem = null;
+  saveState();
+  render();
+}
 
-  links.forEach((link) => {
-    const li = document.createElement("li");
-    const fromNode = state.nodes.find((node) => node.id === link.from);
-    const toNode = state.nodes.find((node) => node.id === link.to);
-    const label = `${fromNode?.name || "Unknown"} → ${
-      toNode?.name || "Unknown"
-    }`;
-    li.textContent = label;
+function promptMapName(message, defaultName) {
+  const name = window.prompt(message, defaultName);
+  return name === null ? null : name.trim() || defaultName;
+}
 
-    const remove = document.createElement("button");
-    remove.textContent = "Remove";
-    remove.addEventListener("click", () => {
-      state.links = state.links.filter((item) => item.id !== link.id);
-      saveState();
-      render();
-    });
+function createMap() {
+  const name = promptMapName("Name for the new map", "New Map");
+  if (name === null) {
+    return;
+  }
+  const mapId = crypto.randomUUID();
+  writeMapRecord(mapId, createBlankState(name));
+  mapIndex.maps.push({ id: mapId, name });
+  switchMap(mapId);
+}
 
-    li.appendChild(remove);
-    connectionsList.appendChild(li);
+function renameMap() {
+  const entry = getActiveMapEntry();
+  const name = promptMapName("Rename map", entry.name);
+  if (name === null) {
+    return;
+  }
+  entry.name = name;
+  saveMapIndex();
+  renderMapSelect();
+}
+
+function duplicateMap() {
+  const entry = getActiveMapEntry();
+  const name = promptMapName("Name for the copy", `${entry.name} copy`);
+  if (name === null) {
+    return;
+  }
+  const mapId = crypto.randomUUID();
+  writeMapRecord(mapId, JSON.parse(JSON.stringify(state)));
+  mapIndex.maps.push({ id: mapId, name });
+  switchMap(mapId);
+}
+
+function deleteMap() {
+  const entry = getActiveMapEntry();
+  if (mapIndex.maps.length < 2) {
+    return;
+  }
+  if (!window.confirm(`Delete "${entry.name}"? This cannot be undone.`)) {
+    return;
+  }
+  localStorage.removeItem(mapDataKey(entry.id));
+  localStorage.removeItem(mapHistoryKey(entry.id));
+  scenarioIndex.scenarios.forEach((scenario) => {
+    localStorage.removeItem(`${mapHistoryKey(entry.id)}:${scenario.id}`);
+    localStorage.removeItem(mapScenarioDataKey(entry.id, scenario.id));
   });
+  localStorage.removeItem(mapScenariosKey(entry.id));
+  mapIndex.maps = mapIndex.maps.filter((map) => map.id !== entry.id);
+  switchMap(mapIndex.maps[0].id);
 }
 
-function addNode({ parentId } = {}) {
-  const newNode = {
+function renderScenarioSelect() {
+  scenarioSelect.innerHTML = "";
+  const main = document.createElement("option");
+  main.value = "";
+  main.textContent = "Main plan";
+  scenarioSelect.appendChild(main);
+  scenarioIndex.scenarios
+    .filter((scenario) => scenario.kind === "scenario")
+    .forEach((scenario) => {
+      const option = document.createElement("option");
+      option.value = scenario.id;
+      option.textContent = scenario.name;
+      scenarioSelect.appendChild(option);
+    });
+  scenarioSelect.value = scenarioIndex.activeScenarioId || "";
+}
+
+function switchScenario(scenarioId) {
+  scenarioIndex.activeScenarioId = getScenario(scenarioId) ? scenarioId : null;
+  saveScenarioIndex();
+  revokeAttachmentUrls();
+  state = loadState();
+  undoHistory = loadHistory();
+  if (!state.nodes.some((node) => node.id === selectedNodeId)) {
+    selectedNodeId = state.nodes[0]?.id ?? null;
+  }
+  selectedNodeIds = new Set();
+  renderScenarioSelect();
+  updateHistoryButtons();
+  render();
+}
+
+function saveScenario(kind) {
+  const count =
+    scenarioIndex.scenarios.filter((scenario) => scenario.kind === kind)
+      .length + 1;
+  const name = promptMapName(
+    kind === "snapshot" ? "Name for the snapshot" : "Name for the scenario",
+    kind === "snapshot"
+      ? `Snapshot ${new Date().toLocaleString()}`
+      : `Scenario ${count}`
+  );
+  if (name === null) {
+    return;
+  }
+  const scenario = {
     id: crypto.randomUUID(),
-    name: "New Node",
-    description: "",
-    estimatedCost: 0,
-    estimatedTime: 0,
-    status: "Considering",
-    assignedTo: "",
-    positionLocked: false,
-    position: null,
+    name,
+    kind,
+    createdAt: new Date().toISOString(),
   };
-  state.nodes.push(newNode);
-  if (parentId) {
-    state.links.push({
-      id: crypto.randomUUID(),
-      from: parentId,
-      to: newNode.id,
-    });
+  try {
+    writeStoredMap(
+      mapScenarioDataKey(mapIndex.activeMapId, scenario.id),
+      state
+    );
+  } catch (error) {
+    console.warn("Failed to save scenario", error);
+    return;
+  }
+  scenarioIndex.scenarios.push(scenario);
+  saveScenarioIndex();
+  if (kind === "scenario") {
+    switchScenario(scenario.id);
+  } else {
+    compareState.otherId = scenario.id;
+    render();
   }
-  selectedNodeId = newNode.id;
-  saveState();
-  render();
 }
 
-function deleteNode() {
-  if (!selectedNodeId) {
+function promoteScenario(scenarioId) {
+  const scenario = getScenario(scenarioId);
+  const map = readScenarioMap(scenarioId);
+  if (!scenario || !map) {
     return;
   }
-  state.nodes = state.nodes.filter((node) => node.id !== selectedNodeId);
-  state.links = state.links.filter(
-    (link) => link.from !== selectedNodeId && link.to !== selectedNodeId
-  );
-  selectedNodeId = state.nodes[0]?.id ?? null;
+  if (
+    !window.confirm(
+      `Replace the main plan with "${scenario.name}"? You can undo this afterwards.`
+    )
+  ) {
+    return;
+  }
+  const promoted = JSON.parse(JSON.stringify(map));
+  switchScenario(null);
+  recordHistory("Promote scenario");
+  state = promoted;
+  if (!state.nodes.some((node) => node.id === selectedNodeId)) {
+    selectedNodeId = state.nodes[0]?.id ?? null;
+  }
   saveState();
   render();
 }
 
-function showLinkModal() {
-  linkDependentSelect.innerHTML = "";
-  linkRequiredSelect.innerHTML = "";
-  state.nodes.forEach((node) => {
-    const option = document.createElement("option");
-    option.value = node.id;
-    option.textContent = node.name;
-    linkDependentSelect.appendChild(option.cloneNode(true));
-    linkRequiredSelect.appendChild(option);
-  });
-
-  if (selectedNodeId) {
-    linkDependentSelect.value = selectedNodeId;
+function deleteScenario(scenarioId) {
+  const scenario = getScenario(scenarioId);
+  if (!scenario) {
+    return;
   }
-
-  linkModal.classList.add("is-open");
-  linkModal.setAttribute("aria-hidden", "false");
-}
-
-function hideLinkModal() {
-  linkModal.classList.remove("is-open");
-  linkModal.setAttribute("aria-hidden", "true");
-}
-
-function createLink() {
-  const dependentId = linkDependentSelect.value;
-  const requiredId = linkRequiredSelect.value;
-  if (!dependentId || !requiredId || dependentId === requiredId) {
+  if (!window.confirm(`Delete "${scenario.name}"? This cannot be undone.`)) {
     return;
   }
-
-  state.links.push({
-    id: crypto.randomUUID(),
-    from: requiredId,
-    to: dependentId,
-  });
-  saveState();
-  hideLinkModal();
+  if (scenarioIndex.activeScenarioId === scenarioId) {
+    switchScenario(null);
+  }
+  localStorage.removeItem(
+    `${mapHistoryKey(mapIndex.activeMapId)}:${scenarioId}`
+  );
+  localStorage.removeItem(mapScenarioDataKey(mapIndex.activeMapId, scenarioId));
+  scenarioIndex.scenarios = scenarioIndex.scenarios.filter(
+    (item) => item.id !== scenarioId
+  );
+  saveScenarioIndex();
+  if (compareState.baseId === scenarioId) {
+    compareState.baseId = "main";
+  }
+  if (compareState.otherId === scenarioId) {
+    compareState.otherId = null;
+  }
   render();
 }
 
@@ -985,87 +6653,267 @@ function fitToScreen() {
   applyTransform();
 }
 
-mapViewport.addEventListener("mousedown", (event) => {
-  if (event.button !== 0) {
+function centerOnNode(nodeId) {
+  const position =
+    layoutCache.positions.get(nodeId) ||
+    state.nodes.find((node) => node.id === nodeId)?.position;
+  if (!position) {
+    return;
+  }
+  const viewportRect = mapViewport.getBoundingClientRect();
+  const scale = Math.min(Math.max(viewState.scale, 1), MAX_ZOOM);
+  viewState.scale = scale;
+  viewState.x = viewportRect.width / 2 - position.x * scale;
+  viewState.y = viewportRect.height / 2 - position.y * scale;
+  applyTransform();
+}
+
+function focusSearchMatch() {
+  const nodeId = searchState.matchIds[searchState.index];
+  if (!nodeId) {
+    render();
+    return;
+  }
+  selectedNodeId = nodeId;
+  revealNode(nodeId);
+  setSidebarCollapsed(false);
+  render();
+  centerOnNode(nodeId);
+}
+
+function stepSearch(direction) {
+  const total = searchState.matchIds.length;
+  if (total === 0) {
     return;
   }
-  if (isNodeDragging) {
+  searchState.index = (searchState.index + direction + total) % total;
+  focusSearchMatch();
+}
+
+function clearSearch() {
+  searchState = { query: "", matchIds: [], index: -1 };
+  searchInput.value = "";
+  render();
+}
+
+function startNodeDrag(nodeId, position, clientX, clientY) {
+  setTextSelectionDisabled(true);
+  isNodeDragging = true;
+  draggedNodeId = nodeId;
+  didDragNode = false;
+  const origin = layoutCache.displayedPositions.get(nodeId) || position;
+  const mapPoint = screenToMapPoint(clientX, clientY);
+  dragOffset = {
+    x: origin.x - mapPoint.x,
+    y: origin.y - mapPoint.y,
+  };
+  const { childrenMap, nodesById } = buildGraph();
+  const selectedIds = getSelectedIds();
+  const dragRootIds = selectedIds.has(nodeId) ? selectedIds : [nodeId];
+  draggedSubtreeIds = new Set();
+  dragRootIds.forEach((rootId) => {
+    collectDescendants(rootId, childrenMap).forEach((id) =>
+      draggedSubtreeIds.add(id)
+    );
+  });
+  dragStartPositions = new Map();
+  draggedSubtreeIds.forEach((id) => {
+    const cachedPosition =
+      layoutCache.displayedPositions.get(id) || layoutCache.positions.get(id);
+    const fallbackPosition = nodesById.get(id)?.position;
+    const startPosition = cachedPosition || fallbackPosition;
+    if (startPosition) {
+      dragStartPositions.set(id, { ...startPosition });
+    }
+  });
+  if (!dragStartPositions.has(nodeId)) {
+    dragStartPositions.set(nodeId, { ...origin });
+  }
+}
+
+function moveDraggedNode(clientX, clientY) {
+  const mapPoint = screenToMapPoint(clientX, clientY);
+  const node = state.nodes.find((item) => item.id === draggedNodeId);
+  if (!node) {
     return;
   }
+  const nextPosition = {
+    x: mapPoint.x + dragOffset.x,
+    y: mapPoint.y + dragOffset.y,
+  };
+  const rootStart = dragStartPositions.get(node.id) || node.position;
+  const delta = rootStart
+    ? {
+        x: nextPosition.x - rootStart.x,
+        y: nextPosition.y - rootStart.y,
+      }
+    : { x: 0, y: 0 };
+  if (!didDragNode) {
+    if (Math.abs(delta.x) <= 2 && Math.abs(delta.y) <= 2) {
+      return;
+    }
+    didDragNode = true;
+    recordHistory("Move node");
+  }
+  const nodesById = new Map(state.nodes.map((item) => [item.id, item]));
+  const idsToMove = draggedSubtreeIds.size
+    ? draggedSubtreeIds
+    : new Set([node.id]);
+  idsToMove.forEach((nodeId) => {
+    const startPosition = dragStartPositions.get(nodeId);
+    if (!startPosition) {
+      return;
+    }
+    const movedPosition = {
+      x: startPosition.x + delta.x,
+      y: startPosition.y + delta.y,
+    };
+    const movedNode = nodesById.get(nodeId);
+    if (!movedNode) {
+      return;
+    }
+    movedNode.position = { ...movedPosition };
+    movedNode.positionLocked = true;
+    layoutCache.positions.set(nodeId, { ...movedPosition });
+    layoutCache.displayedPositions.set(nodeId, { ...movedPosition });
+    const nodeElement = mapContent.querySelector(
+      `[data-node-id="${nodeId}"]`
+    );
+    if (nodeElement) {
+      nodeElement.style.left = `${movedPosition.x}px`;
+      nodeElement.style.top = `${movedPosition.y}px`;
+    }
+  });
+  const nodeElements = new Map();
+  mapContent.querySelectorAll(".node").forEach((element) => {
+    const id = element.dataset.nodeId;
+    const position = layoutCache.positions.get(id);
+    nodeElements.set(id, { element, position });
+  });
+  const linksById = new Map(state.links.map((link) => [link.id, link]));
+  const linkElements = [];
+  linksLayer.querySelectorAll("path[data-link-id]").forEach((path) => {
+    const link = linksById.get(path.dataset.linkId);
+    if (!link) {
+      return;
+    }
+    linkElements.push({
+      from: link.from,
+      to: link.to,
+      path,
+      marker: path.nextElementSibling,
+    });
+  });
+  updateLinkPositions(nodeElements, linkElements);
+}
+
+function endPointerInteraction() {
+  cancelLongPress();
+  isDragging = false;
+  pinchState = null;
+  const shouldSettle = isNodeDragging && didDragNode;
+  isNodeDragging = false;
+  draggedNodeId = null;
+  draggedSubtreeIds = new Set();
+  dragStartPositions = new Map();
+  setTextSelectionDisabled(false);
+  mapViewport.classList.remove("is-dragging");
+  mapContent
+    .querySelectorAll(".node--lifted")
+    .forEach((element) => element.classList.remove("node--lifted"));
+  if (shouldSettle) {
+    saveState();
+    render();
+  }
+}
+
+function cancelLongPress() {
+  if (longPressTimer) {
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+  }
+}
+
+function startPan(clientX, clientY) {
   isDragging = true;
   setTextSelectionDisabled(true);
   mapViewport.classList.add("is-dragging");
-  dragStart = { x: event.clientX, y: event.clientY };
+  dragStart = { x: clientX, y: clientY };
   dragOrigin = { ...viewState };
+}
+
+function getPinchGeometry() {
+  const [first, second] = Array.from(activePointers.values());
+  const rect = mapViewport.getBoundingClientRect();
+  return {
+    distance: Math.max(
+      Math.hypot(second.x - first.x, second.y - first.y),
+      1
+    ),
+    center: {
+      x: (first.x + second.x) / 2 - rect.left,
+      y: (first.y + second.y) / 2 - rect.top,
+    },
+  };
+}
+
+function startPinch() {
+  cancelLongPress();
+  isDragging = false;
+  didPanMap = true;
+  pinchState = { ...getPinchGeometry(), scale: viewState.scale };
+}
+
+function updatePinch() {
+  const { distance, center } = getPinchGeometry();
+  zoomToScale(
+    (pinchState.scale * distance) / pinchState.distance,
+    center.x,
+    center.y
+  );
+  viewState.x += center.x - pinchState.center.x;
+  viewState.y += center.y - pinchState.center.y;
+  applyTransform();
+  pinchState.center = center;
+}
+
+mapViewport.addEventListener("pointerdown", (event) => {
+  if (event.button !== 0) {
+    return;
+  }
+  activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+  if (activePointers.size === 1) {
+    didPanMap = false;
+    didDragNode = false;
+  }
+  if (isNodeDragging || activePointers.size > 2) {
+    return;
+  }
+  if (activePointers.size === 2) {
+    startPinch();
+    return;
+  }
+  if (event.shiftKey && event.pointerType === "mouse") {
+    startMarquee(event);
+    return;
+  }
+  startPan(event.clientX, event.clientY);
 });
 
-mapViewport.addEventListener("mousemove", (event) => {
+mapViewport.addEventListener("pointermove", (event) => {
+  if (activePointers.has(event.pointerId)) {
+    activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+  }
+  if (pinchState) {
+    updatePinch();
+    return;
+  }
+  if (marqueeState) {
+    updateMarquee(event);
+    return;
+  }
   if (isNodeDragging && draggedNodeId) {
-    const mapPoint = screenToMapPoint(event.clientX, event.clientY);
-    const node = state.nodes.find((item) => item.id === draggedNodeId);
-    if (!node) {
-      return;
-    }
-    const nextPosition = {
-      x: mapPoint.x + dragOffset.x,
-      y: mapPoint.y + dragOffset.y,
-    };
-    const rootStart = dragStartPositions.get(node.id) || node.position;
-    const delta = rootStart
-      ? {
-          x: nextPosition.x - rootStart.x,
-          y: nextPosition.y - rootStart.y,
-        }
-      : { x: 0, y: 0 };
-    if (Math.abs(delta.x) > 2 || Math.abs(delta.y) > 2) {
-      didDragNode = true;
-    }
-    const nodesById = new Map(state.nodes.map((item) => [item.id, item]));
-    const idsToMove = draggedSubtreeIds.size
-      ? draggedSubtreeIds
-      : new Set([node.id]);
-    idsToMove.forEach((nodeId) => {
-      const startPosition = dragStartPositions.get(nodeId);
-      if (!startPosition) {
-        return;
-      }
-      const movedPosition = {
-        x: startPosition.x + delta.x,
-        y: startPosition.y + delta.y,
-      };
-      const movedNode = nodesById.get(nodeId);
-      if (!movedNode) {
-        return;
-      }
-      movedNode.position = { ...movedPosition };
-      movedNode.positionLocked = true;
-      layoutCache.positions.set(nodeId, { ...movedPosition });
-      const nodeElement = mapContent.querySelector(
-        `[data-node-id="${nodeId}"]`
-      );
-      if (nodeElement) {
-        nodeElement.style.left = `${movedPosition.x}px`;
-        nodeElement.style.top = `${movedPosition.y}px`;
-      }
-    });
-    const nodeElements = new Map();
-    mapContent.querySelectorAll(".node").forEach((element) => {
-      const id = element.dataset.nodeId;
-      const position = layoutCache.positions.get(id);
-      nodeElements.set(id, { element, position });
-    });
-    const linkElements = [];
-    linksLayer.querySelectorAll("path").forEach((path, index) => {
-      const link = state.links[index];
-      const arrows = linksLayer.querySelectorAll("circle");
-      linkElements.push({
-        from: link.from,
-        to: link.to,
-        path,
-        arrow: arrows[index],
-      });
-    });
-    updateLinkPositions(nodeElements, linkElements);
+    moveDraggedNode(event.clientX, event.clientY);
     return;
   }
   if (!isDragging) {
@@ -1073,37 +6921,47 @@ mapViewport.addEventListener("mousemove", (event) => {
   }
   const dx = event.clientX - dragStart.x;
   const dy = event.clientY - dragStart.y;
+  if (Math.hypot(dx, dy) > LONG_PRESS_TOLERANCE) {
+    cancelLongPress();
+  }
+  if (Math.abs(dx) > 3 || Math.abs(dy) > 3) {
+    didPanMap = true;
+  }
   viewState.x = dragOrigin.x + dx;
   viewState.y = dragOrigin.y + dy;
   applyTransform();
 });
 
-mapViewport.addEventListener("mouseup", () => {
-  isDragging = false;
-  if (isNodeDragging) {
-    saveState();
+function handlePointerEnd(event) {
+  activePointers.delete(event.pointerId);
+  if (marqueeState) {
+    finishMarquee();
+    return;
   }
-  isNodeDragging = false;
-  draggedNodeId = null;
-  draggedSubtreeIds = new Set();
-  dragStartPositions = new Map();
-  setTextSelectionDisabled(false);
-  mapViewport.classList.remove("is-dragging");
-});
+  if (pinchState) {
+    if (activePointers.size < 2) {
+      pinchState = null;
+    }
+    if (activePointers.size === 1) {
+      const [point] = activePointers.values();
+      startPan(point.x, point.y);
+    }
+    return;
+  }
+  endPointerInteraction();
+}
 
-mapViewport.addEventListener("mouseleave", () => {
-  if (isDragging) {
-    isDragging = false;
-    mapViewport.classList.remove("is-dragging");
+mapViewport.addEventListener("pointerup", handlePointerEnd);
+mapViewport.addEventListener("pointercancel", handlePointerEnd);
+mapViewport.addEventListener("pointerleave", (event) => {
+  if (event.pointerType === "mouse") {
+    handlePointerEnd(event);
   }
-  if (isNodeDragging) {
-    saveState();
-    isNodeDragging = false;
-    draggedNodeId = null;
-    draggedSubtreeIds = new Set();
-    dragStartPositions = new Map();
+});
+mapViewport.addEventListener("contextmenu", (event) => {
+  if (isNodeDragging || longPressTimer) {
+    event.preventDefault();
   }
-  setTextSelectionDisabled(false);
 });
 
 function getWheelScale(event) {
@@ -1154,16 +7012,40 @@ nodeForm.addEventListener("submit", (event) => {
   syncFormToState({ shouldRender: true });
 });
 
-nodeForm.addEventListener("input", () => {
-  syncFormToState();
+nodeForm.addEventListener("input", (event) => {
+  syncFormToState({ fieldName: event.target.name });
+  if (event.target.name === "description") {
+    renderDescriptionPreview(
+      state.nodes.find((node) => node.id === selectedNodeId)
+    );
+  }
+});
+descriptionPreview.addEventListener("change", (event) => {
+  if (event.target.dataset.taskIndex !== undefined) {
+    toggleDescriptionTask(Number(event.target.dataset.taskIndex));
+  }
 });
 
 nodeForm.addEventListener("change", (event) => {
   const fieldName = event.target.name;
-  const requiresRender = ["status", "estimatedCost", "estimatedTime"].includes(
-    fieldName
-  );
-  syncFormToState({ shouldRender: requiresRender });
+  const requiresRender = [
+    "statusId",
+    "estimatedCost",
+    "estimatedTime",
+    "assignees",
+    "kind",
+    "startDate",
+    "dueDate",
+  ].includes(fieldName);
+  syncFormToState({ shouldRender: requiresRender, fieldName });
+});
+
+clearChoiceButton.addEventListener("click", () => {
+  const selected = state.nodes.find((node) => node.id === selectedNodeId);
+  const decision = selected ? getDecisionFor(selected) : null;
+  if (decision) {
+    chooseOption(decision.id, null);
+  }
 });
 
 addRootButton.addEventListener("click", () => addNode());
@@ -1177,14 +7059,182 @@ deleteNodeButton.addEventListener("click", deleteNode);
 linkNodeButton.addEventListener("click", showLinkModal);
 confirmLinkButton.addEventListener("click", createLink);
 cancelLinkButton.addEventListener("click", hideLinkModal);
+[linkDependentSelect, linkRequiredSelect].forEach((select) => {
+  select.addEventListener("change", () => {
+    linkError.textContent = "";
+  });
+});
+checkGraphButton.addEventListener("click", showHealthModal);
+viewButtons.forEach((button) => {
+  button.addEventListener("click", () => {
+    if (button.dataset.view !== viewMode) {
+      setViewMode(button.dataset.view);
+    }
+  });
+});
+fixAllHealthButton.addEventListener("click", fixAllGraphIssues);
+closeHealthButton.addEventListener("click", hideHealthModal);
 fitViewButton.addEventListener("click", fitToScreen);
+searchInput.addEventListener("input", () => {
+  searchState.query = searchInput.value;
+  searchState.matchIds = [];
+  updateSearchMatches();
+  focusSearchMatch();
+});
+searchInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") {
+    event.preventDefault();
+    stepSearch(event.shiftKey ? -1 : 1);
+  } else if (event.key === "Escape") {
+    event.preventDefault();
+    clearSearch();
+    searchInput.blur();
+  }
+});
+searchPrevButton.addEventListener("click", () => stepSearch(-1));
+searchNextButton.addEventListener("click", () => stepSearch(1));
+searchClearButton.addEventListener("click", clearSearch);
 zoomInButton.addEventListener("click", () => zoomByStep(1.2));
 zoomOutButton.addEventListener("click", () => zoomByStep(1 / 1.2));
+mapSelect.addEventListener("change", () => switchMap(mapSelect.value));
+scenarioSelect.addEventListener("change", () =>
+  switchScenario(scenarioSelect.value || null)
+);
+snapshotScenarioButton.addEventListener("click", () =>
+  saveScenario("snapshot")
+);
+branchScenarioButton.addEventListener("click", () => saveScenario("scenario"));
+calendarPrevButton.addEventListener("click", () => shiftCalendarMonth(-1));
+calendarNextButton.addEventListener("click", () => shiftCalendarMonth(1));
+calendarTodayButton.addEventListener("click", () => {
+  calendarState.month = null;
+  renderCalendar();
+});
+calendarPersonSelect.addEventListener("change", () => {
+  calendarState.personId = calendarPersonSelect.value;
+  renderCalendar();
+});
+exportIcsButton.addEventListener("click", exportIcs);
+compareBaseSelect.addEventListener("change", () => {
+  compareState.baseId = compareBaseSelect.value;
+  renderCompare();
+});
+compareOtherSelect.addEventListener("change", () => {
+  compareState.otherId = compareOtherSelect.value;
+  renderCompare();
+});
+promoteScenarioButton.addEventListener("click", () =>
+  promoteScenario(compareState.otherId)
+);
+deleteScenarioButton.addEventListener("click", () =>
+  deleteScenario(compareState.otherId)
+);
+newMapButton.addEventListener("click", createMap);
+renameMapButton.addEventListener("click", renameMap);
+duplicateMapButton.addEventListener("click", duplicateMap);
+deleteMapButton.addEventListener("click", deleteMap);
+downloadStoredMapButton.addEventListener("click", downloadStoredMap);
+discardStoredMapButton.addEventListener("click", discardStoredMap);
+exportMapButton.addEventListener("click", exportMap);
+importMapButton.addEventListener("click", () => importFileInput.click());
+exportImageButton.addEventListener("click", showImageExportModal);
+downloadCsvButton.addEventListener("click", exportReportCsv);
+printReportButton.addEventListener("click", () => window.print());
+layoutSelect.addEventListener("change", () => setLayoutMode(layoutSelect.value));
+resetPositionsButton.addEventListener("click", () => resetPositions());
+bulkApplyStatusButton.addEventListener("click", applyBulkStatus);
+bulkAssignButton.addEventListener("click", () => applyBulkAssignee(true));
+bulkUnassignButton.addEventListener("click", () => applyBulkAssignee(false));
+bulkAddTagButton.addEventListener("click", () => applyBulkTag(true));
+bulkRemoveTagButton.addEventListener("click", () => applyBulkTag(false));
+bulkDependsOnButton.addEventListener("click", () => linkSelection(true));
+bulkRequiredByButton.addEventListener("click", () => linkSelection(false));
+bulkDeleteButton.addEventListener("click", deleteNode);
+bulkClearButton.addEventListener("click", () => {
+  selectedNodeIds = new Set();
+  render();
+});
+collapseDepthSelect.addEventListener("change", () => {
+  const { value } = collapseDepthSelect;
+  collapseDepthSelect.value = "";
+  if (value) {
+    collapseToDepth(value === "all" ? Infinity : Number(value));
+  }
+});
+resetSubtreeButton.addEventListener("click", () => {
+  if (selectedNodeId) {
+    resetPositions(selectedNodeId);
+  }
+});
+[imageAreaSelect, imageFormatSelect, imageScaleSelect].forEach((select) => {
+  select.addEventListener("change", updateImageExportSummary);
+});
+confirmImageExportButton.addEventListener("click", exportImage);
+cancelImageExportButton.addEventListener("click", hideImageExportModal);
+importFileInput.addEventListener("change", () => {
+  const [file] = importFileInput.files;
+  if (file) {
+    readImportFile(file);
+  }
+});
+replaceImportButton.addEventListener("click", () => applyImport({ merge: false }));
+mergeImportButton.addEventListener("click", () => applyImport({ merge: true }));
+cancelImportButton.addEventListener("click", hideImportModal);
+addPersonButton.addEventListener("click", addPerson);
+addStatusButton.addEventListener("click", addStatus);
+hourlyRateInput.addEventListener("change", () => {
+  const rate = Number(hourlyRateInput.value);
+  recordHistory("Change hourly rate");
+  state.settings.hourlyRate = rate >= 0 ? rate : DEFAULT_HOURLY_RATE;
+  saveState();
+  render();
+});
+addAttachmentFileButton.addEventListener("click", () =>
+  attachmentFileInput.click()
+);
+attachmentFileInput.addEventListener("change", async () => {
+  await addAttachmentFiles(Array.from(attachmentFileInput.files));
+  attachmentFileInput.value = "";
+});
+attachmentLinkForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  addAttachmentLink();
+});
+entryForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  addEntry();
+});
+scheduleStartInput.addEventListener("change", () => {
+  const value = scheduleStartInput.value;
+  updateScheduleSettings(
+    { startDate: parseDateInput(value) ? value : null },
+    "Change project start"
+  );
+});
+scheduleDefaultHoursInput.addEventListener("change", () => {
+  const hours = Number(scheduleDefaultHoursInput.value);
+  updateScheduleSettings(
+    { defaultHoursPerWeek: hours > 0 ? hours : DEFAULT_HOURS_PER_WEEK },
+    "Change default capacity"
+  );
+});
+scheduleCriticalInput.addEventListener("change", () => {
+  updateScheduleSettings(
+    { showCriticalPath: scheduleCriticalInput.checked },
+    "Toggle critical path"
+  );
+});
+undoButton.addEventListener("click", undo);
+redoButton.addEventListener("click", redo);
 sidebarToggleButton.addEventListener("click", () => {
   setSidebarCollapsed(true);
 });
 
 mapViewport.addEventListener("click", () => {
+  if (didPanMap || didDragNode) {
+    didPanMap = false;
+    return;
+  }
   selectedNodeId = null;
   setSidebarCollapsed(true);
   render();
@@ -1194,5 +7244,35 @@ window.addEventListener("resize", () => {
   updateLinksBounds();
 });
 
+document.addEventListener("keydown", (event) => {
+  if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) {
+    return;
+  }
+  const key = event.key.toLowerCase();
+  if (key === "z") {
+    event.preventDefault();
+    if (event.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
+  } else if (key === "y") {
+    event.preventDefault();
+    redo();
+  } else if (key === "f" && viewMode === "map") {
+    event.preventDefault();
+    searchInput.focus();
+    searchInput.select();
+  }
+});
+
+document.addEventListener("keydown", handleShortcutKey);
+
+renderMapSelect();
+renderScenarioSelect();
+updateHistoryButtons();
 render();
 fitToScreen();
+pruneAttachmentFiles().catch((error) => {
+  console.warn("Could not clean up attachment files", error);
+});